@@ -21,11 +21,12 @@ import json
 import time
 import shutil
 import signal
+import uuid
 import logging
 import subprocess
 from pathlib import Path
 from urllib.request import Request, urlopen
-from urllib.error import URLError
+from urllib.error import URLError, HTTPError
 
 logger = logging.getLogger("hooks.monikhao")
 
@@ -41,6 +42,8 @@ LOCK_FILE = DATA_DIR / "spawn.lock"
 LOG_FILE = DATA_DIR / "debug.log"
 WORKER_STDERR = DATA_DIR / "worker-stderr.log"
 WORKER_SCRIPT = MONIKHAO_ROOT / "scripts" / "worker-service.cjs"
+AUTH_FILE = DATA_DIR / "auth.json"
+SPOOL_FILE = DATA_DIR / "spool.jsonl"
 
 # Track pending tools from agent:step so we can close them on next step/end
 _pending_tools = []
@@ -206,15 +209,45 @@ def _ensure_worker():
 
 # ─── Event Posting ───────────────────────────────────────────────────────────
 
+def _auth_token():
+    """Admin token written by the worker on first start (MONIKHAO_TOKEN overrides)."""
+    token = os.environ.get("MONIKHAO_TOKEN")
+    if token:
+        return token
+    try:
+        return json.loads(AUTH_FILE.read_text()).get("admin")
+    except (OSError, ValueError):
+        return None
+
+
+def _spool_event(event):
+    """Keep an undeliverable event; the worker ingests the spool on its next start."""
+    try:
+        DATA_DIR.mkdir(parents=True, exist_ok=True)
+        with open(SPOOL_FILE, "a") as f:
+            f.write(json.dumps(event) + "\n")
+    except (OSError, ValueError):
+        pass
+
+
 def _post_event(event):
     """POST event to Monikhao worker. Ensures worker is running first."""
     _ensure_worker()
+    event = {"event_id": str(uuid.uuid4()), **event}
     try:
         body = json.dumps(event).encode("utf-8")
         req = Request(MONIKHAO_URL, data=body, method="POST")
         req.add_header("Content-Type", "application/json")
+        token = _auth_token()
+        if token:
+            req.add_header("Authorization", f"Bearer {token}")
         urlopen(req, timeout=2)
-    except (URLError, OSError, ValueError):
+    except HTTPError as e:
+        if e.code >= 500:
+            _spool_event(event)
+    except (URLError, OSError):
+        _spool_event(event)
+    except ValueError:
         pass
 
 
@@ -222,6 +255,14 @@ def _now():
     return int(time.time() * 1000)
 
 
+def _prompt_capture_enabled():
+    """Prompt text is opt-in (config.json capture.prompts); the worker redacts and truncates it."""
+    try:
+        return bool((json.loads((MONIKHAO_ROOT / "config.json").read_text()).get("capture") or {}).get("prompts"))
+    except (OSError, ValueError):
+        return False
+
+
 def _session_id(ctx):
     return ctx.get("session_id") or ctx.get("session_key") or "hermes-unknown"
 
@@ -296,17 +337,21 @@ async def handle(event_type, context):
         logger.debug("monikhao: session_end %s", sid)
 
     elif event_type == "agent:start":
+        # A user message starts a turn
         sid = _session_id(context)
         msg = context.get("message", "")
-        _post_event({
-            "phase": "notification",
+        event = {
+            "phase": "user_prompt",
             "timestamp": ts,
             "session_id": sid,
             "source": "hermes",
             "tool_name": None,
             "tool_input": None,
-            "tool_response": msg[:200] if msg else None,
-        })
+            "tool_response": None,
+        }
+        if msg and _prompt_capture_enabled():
+            event["prompt"] = msg
+        _post_event(event)
         logger.debug("monikhao: agent:start %s", sid)
 
     elif event_type == "agent:step":
@@ -349,4 +394,13 @@ async def handle(event_type, context):
             "tool_input": None,
             "tool_response": response[:200] if response else None,
         })
+        _post_event({
+            "phase": "turn_end",
+            "timestamp": ts,
+            "session_id": sid,
+            "source": "hermes",
+            "tool_name": None,
+            "tool_input": None,
+            "tool_response": None,
+        })
         logger.debug("monikhao: agent:end %s", sid)
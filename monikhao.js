@@ -17,12 +17,10 @@
  * Override root:  MONIKHAO_PATH       (absolute path to Monikhao folder)
  */
 
-import { spawn, execFileSync } from 'node:child_process'
-import {
-  existsSync, mkdirSync, writeFileSync, readFileSync,
-  appendFileSync, unlinkSync, openSync, closeSync
-} from 'node:fs'
-import { homedir, platform } from 'node:os'
+import { execFileSync } from 'node:child_process'
+import { existsSync, mkdirSync, writeFileSync, appendFileSync } from 'node:fs'
+import { createRequire } from 'node:module'
+import { homedir } from 'node:os'
 import { resolve, join, dirname } from 'node:path'
 import { fileURLToPath } from 'node:url'
 
@@ -52,22 +50,18 @@ const PLUGIN_ROOT = findRoot()
 
 // ─── Constants ──────────────────────────────────────────────────────────────────
 
-const PORT  = parseInt(process.env.AGENT_MONITOR_PORT || '37800')
-const HOST  = '127.0.0.1'
-const BASE  = `http://${HOST}:${PORT}`
+// Logging works before the folder is found (it explains why nothing happens)
+const DATA_DIR = join(homedir(), '.monikhao')
+const LOG_FILE = join(DATA_DIR, 'debug.log')
 
-const DATA_DIR   = join(homedir(), '.monikhao')
-const PID_FILE   = join(DATA_DIR, 'worker.pid')
-const LOCK_FILE  = join(DATA_DIR, 'spawn.lock')
-const LOG_FILE   = join(DATA_DIR, 'debug.log')
-const WORKER_LOG = join(DATA_DIR, 'worker-stderr.log')
+// Worker discovery, spawning, batching and spooling live in the shared client
+const client = PLUGIN_ROOT ? createRequire(import.meta.url)(join(PLUGIN_ROOT, 'scripts', 'client.cjs')) : null
 
-const WORKER_SCRIPT = PLUGIN_ROOT ? join(PLUGIN_ROOT, 'scripts', 'worker-service.cjs') : null
+// Events are buffered for 25ms and sent in one request, so bursts
+// (dozens of Greps a second) cost one POST and one dashboard update.
+const oc = client?.createClient({ source: 'opencode', sessionPrefix: 'oc', batchDelayMs: 25 })
 
-let sessionId = null
-let detectedModel = null
 let _sessionStartSent = false   // Guard against multiple plugin activations sending duplicate session_start
-let _exitHandlersRegistered = false
 
 // ─── Logging ────────────────────────────────────────────────────────────────────
 
@@ -125,133 +119,6 @@ function depsInstalled() {
     && existsSync(join(PLUGIN_ROOT, 'node_modules', 'ws'))
 }
 
-// ─── HTTP helpers ───────────────────────────────────────────────────────────────
-
-async function postEvent(payload) {
-  try {
-    await fetch(`${BASE}/api/events`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload),
-      signal: AbortSignal.timeout(3000)
-    })
-  } catch {}
-}
-
-async function isHealthy() {
-  try {
-    const res = await fetch(`${BASE}/api/health`, { signal: AbortSignal.timeout(2000) })
-    return res.ok
-  } catch { return false }
-}
-
-// ─── Worker lifecycle ───────────────────────────────────────────────────────────
-
-function acquireLock() {
-  try {
-    if (existsSync(LOCK_FILE)) {
-      const lockData = JSON.parse(readFileSync(LOCK_FILE, 'utf8'))
-      if (Date.now() - lockData.ts < 20000) return false
-    }
-    writeFileSync(LOCK_FILE, JSON.stringify({ ts: Date.now(), pid: process.pid }))
-    return true
-  } catch { return false }
-}
-
-function releaseLock() {
-  try { unlinkSync(LOCK_FILE) } catch {}
-}
-
-function killStaleWorker() {
-  try {
-    if (!existsSync(PID_FILE)) return
-    const info = JSON.parse(readFileSync(PID_FILE, 'utf8'))
-    if (info.pid) {
-      try { process.kill(info.pid, 0); process.kill(info.pid) } catch {}
-    }
-  } catch {}
-}
-
-async function waitForHealth(ms) {
-  const t0 = Date.now()
-  while (Date.now() - t0 < ms) {
-    if (await isHealthy()) return true
-    await new Promise(r => setTimeout(r, 300))
-  }
-  return false
-}
-
-async function ensureWorker() {
-  if (await isHealthy()) { debugLog('Worker already healthy'); return true }
-  if (!WORKER_SCRIPT || !existsSync(WORKER_SCRIPT)) {
-    debugLog(`Worker script not found: ${WORKER_SCRIPT}`)
-    return false
-  }
-
-  if (!acquireLock()) { debugLog('Spawn lock held'); return await waitForHealth(20000) }
-
-  try {
-    if (await isHealthy()) return true
-
-    killStaleWorker()
-    await new Promise(r => setTimeout(r, 500))
-
-    if (!existsSync(DATA_DIR)) mkdirSync(DATA_DIR, { recursive: true })
-
-    let stderrFd
-    try { stderrFd = openSync(WORKER_LOG, 'w') } catch { stderrFd = 'ignore' }
-
-    // Use the current runtime (node or bun — both handle .cjs)
-    // Pass MONIKHAO_ROOT so the worker resolves config/web from the right place
-    // regardless of which platform spawned it
-    const runtime = process.execPath
-    const child = spawn(runtime, [WORKER_SCRIPT], {
-      detached: true,
-      stdio: ['ignore', 'ignore', stderrFd],
-      env: { ...process.env, AGENT_MONITOR_PORT: String(PORT), MONIKHAO_ROOT: PLUGIN_ROOT },
-      cwd: PLUGIN_ROOT,
-      windowsHide: true
-    })
-    child.unref()
-
-    if (child.pid) {
-      writeFileSync(PID_FILE, JSON.stringify({ pid: child.pid, port: PORT, startedAt: new Date().toISOString() }))
-      debugLog(`Spawned worker PID ${child.pid} via ${runtime}`)
-    }
-
-    if (typeof stderrFd === 'number') { try { closeSync(stderrFd) } catch {} }
-
-    const ok = await waitForHealth(15000)
-    debugLog(`Health after spawn: ${ok}`)
-
-    if (!ok) {
-      try {
-        if (existsSync(WORKER_LOG)) {
-          const err = readFileSync(WORKER_LOG, 'utf8').trim()
-          if (err) debugLog(`Worker stderr: ${err.slice(0, 500)}`)
-        }
-      } catch {}
-    }
-    return ok
-  } finally { releaseLock() }
-}
-
-// ─── Session helpers ────────────────────────────────────────────────────────────
-
-function getSessionId() {
-  if (!sessionId) sessionId = `oc-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
-  return sessionId
-}
-
-function makeEvent(phase, extra) {
-  return {
-    phase, timestamp: Date.now(), session_id: getSessionId(),
-    source: 'opencode', model: detectedModel,
-    tool_name: null, tool_input: null, tool_response: null,
-    ...extra
-  }
-}
-
 // ─── Plugin Export ──────────────────────────────────────────────────────────────
 
 /** @type {import("@opencode-ai/plugin").Plugin} */
@@ -281,7 +148,7 @@ export const Monikhao = async (ctx) => {
           const m = s.model || s.modelID || s.config?.model
           if (m) {
             const str = typeof m === 'object' ? (m.modelID || m.id || null) : String(m)
-            if (str && str !== 'null') { detectedModel = str; debugLog(`Model from session API: ${str}`); return }
+            if (str && str !== 'null') { oc.model = str; debugLog(`Model from session API: ${str}`); return }
           }
         }
       }
@@ -291,39 +158,19 @@ export const Monikhao = async (ctx) => {
   // ── Full plugin mode ────────────────────────────────────────────────────────
   debugLog(`Plugin active (root: ${PLUGIN_ROOT}, dir: ${ctx.directory || 'unknown'})`)
 
-  const workerReady = await ensureWorker()
+  oc.cwd = ctx.directory || null
+  const workerReady = await client.ensureWorker()
   await detectModel()
   if (workerReady && !_sessionStartSent) {
     _sessionStartSent = true
-    await postEvent(makeEvent('session_start'))
-    debugLog(`Session started on activation: ${getSessionId()}`)
+    await oc.startSession()
+    debugLog(`Session started on activation: ${oc.session()}`)
   } else if (!workerReady) {
     debugLog('Worker not available — events will queue when it comes online')
   }
 
-  // ── Send session_end when the process exits (Ctrl+C, close terminal, etc.) ──
-  function sendSessionEndSync() {
-    try {
-      const payload = JSON.stringify(makeEvent('session_end'))
-      // Synchronous HTTP via Bun/Node child_process to ensure it fires before exit
-      const { execSync } = require('node:child_process')
-      const cmd = `node -e "const http=require('http');const d=${JSON.stringify(payload)};const r=http.request({hostname:'${HOST}',port:${PORT},path:'/api/events',method:'POST',headers:{'Content-Type':'application/json','Content-Length':Buffer.byteLength(d)},timeout:2000},()=>process.exit(0));r.on('error',()=>process.exit(0));r.write(d);r.end()"`
-      execSync(cmd, { timeout: 3000, stdio: 'ignore', windowsHide: true })
-      debugLog(`Session end sent on exit: ${getSessionId()}`)
-    } catch (e) {
-      debugLog(`Failed to send session_end on exit: ${e.message}`)
-    }
-  }
-
-  if (!_exitHandlersRegistered) {
-    _exitHandlersRegistered = true
-    const exitHandler = () => { sendSessionEndSync(); process.exit() }
-    const beforeExitHandler = () => { sendSessionEndSync() }
-
-    process.on('SIGINT', exitHandler)
-    process.on('SIGTERM', exitHandler)
-    process.on('beforeExit', beforeExitHandler)
-  }
+  // ── Send session_end (plus anything still buffered) when the process exits ──
+  oc.endOnExit()
 
   return {
     // ── Direct command execution (bypasses AI) ────────────────────────────────
@@ -358,41 +205,40 @@ export const Monikhao = async (ctx) => {
         const newModel = typeof m === 'object'
           ? (m.modelID || m.id || m.model || m.name || JSON.stringify(m))
           : String(m)
-        if (newModel && newModel !== detectedModel) {
-          const prev = detectedModel
-          detectedModel = newModel
-          debugLog(`Model ${prev ? 'changed' : 'detected'}: ${detectedModel} (provider: ${input.provider || 'unknown'})`)
+        if (newModel && newModel !== oc.model) {
+          const prev = oc.model
+          oc.model = newModel
+          debugLog(`Model ${prev ? 'changed' : 'detected'}: ${oc.model} (provider: ${input.provider || 'unknown'})`)
           if (_sessionStartSent) {
-            await postEvent(makeEvent('session_start'))
+            await oc.startSession()
           }
         }
       }
     },
 
+    // ── User prompt (starts a turn) ───────────────────────────────────────────
+    'chat.message': async (input, output) => {
+      const text = (output?.parts || []).filter(part => part.type === 'text' && !part.synthetic).map(part => part.text).join('\n')
+      await oc.prompt(text)
+    },
+
     'tool.execute.before': async (input, output) => {
       // Fallback: pick up model from tool metadata if chat.params didn't fire
       const m = input?.model || input?.modelID || output?.model
       if (m) {
         const newModel = typeof m === 'object' ? (m.modelID || m.id || null) : String(m)
-        if (newModel && newModel !== detectedModel) {
-          detectedModel = newModel
-          debugLog(`Model from tool input: ${detectedModel}`)
+        if (newModel && newModel !== oc.model) {
+          oc.model = newModel
+          debugLog(`Model from tool input: ${oc.model}`)
         }
       }
-      await postEvent(makeEvent('pre', {
-        tool_name: input.tool || null,
-        tool_input: output?.args || null,
-        cwd: ctx.directory || null
-      }))
+      // Tool names are mapped onto Claude Code's (bash -> Bash, task -> Task, ...)
+      // Not awaited: the tool shouldn't wait for the batch window or the worker
+      oc.toolStart(input.tool, output?.args, { tool_use_id: input.callID || null }).catch(() => {})
     },
 
     'tool.execute.after': async (input) => {
-      await postEvent(makeEvent('post', {
-        tool_name: input.tool || null,
-        tool_input: input.args || null,
-        tool_response: input.result ?? null,
-        cwd: ctx.directory || null
-      }))
+      oc.toolEnd(input.tool, input.args, input.result, { tool_use_id: input.callID || null }).catch(() => {})
     },
 
     event: async ({ event }) => {
@@ -401,50 +247,65 @@ export const Monikhao = async (ctx) => {
 
       // Extract model from any event properties
       const evtModel = props.model || props.modelID || props.config?.model
-      if (evtModel && !detectedModel) {
-        detectedModel = typeof evtModel === 'object' ? (evtModel.modelID || evtModel.id || null) : String(evtModel)
-        if (detectedModel) debugLog(`Model from event ${type}: ${detectedModel}`)
+      if (evtModel && !oc.model) {
+        oc.model = typeof evtModel === 'object' ? (evtModel.modelID || evtModel.id || null) : String(evtModel)
+        if (oc.model) debugLog(`Model from event ${type}: ${oc.model}`)
       }
 
       if (type === 'session.created') {
         const newId = props.id
-        if (newId && newId !== sessionId) {
-          sessionId = newId
-          debugLog(`Session ID updated to: ${sessionId}`)
+        if (newId && newId !== oc.sessionId) {
+          oc.sessionId = newId
+          debugLog(`Session ID updated to: ${newId}`)
         }
         await detectModel()
         // If session_start wasn't sent during activation (worker was down), send it now
         if (!_sessionStartSent) {
           _sessionStartSent = true
-          await ensureWorker()
-          await postEvent(makeEvent('session_start'))
-          debugLog(`Session started (deferred): ${sessionId} (model: ${detectedModel || 'unknown'})`)
+          await client.ensureWorker()
+          await oc.startSession()
+          debugLog(`Session started (deferred): ${oc.sessionId} (model: ${oc.model || 'unknown'})`)
         }
       }
 
       if (type === 'session.deleted' || type === 'session.error') {
-        await postEvent(makeEvent('session_end'))
-        sessionId = null
+        await oc.endSession()
         _sessionStartSent = false
       }
 
+      // Agent finished its turn and waits for the user
       if (type === 'session.idle') {
-        await postEvent(makeEvent('notification', { message: '[session idle]' }))
+        await oc.turnEnd()
       }
 
+      // Context compaction: the worker takes the size before from its gauge
       if (type === 'session.compacted') {
-        await postEvent(makeEvent('notification', { message: '[context compacted]' }))
+        await oc.compact()
       }
 
       if (type === 'file.edited') {
         const fp = event.properties?.path || event.properties?.filePath
-        if (fp) await postEvent(makeEvent('notification', { message: `[file.edited] ${fp}` }))
+        if (fp) await oc.notify(`[file.edited] ${fp}`)
+      }
+
+      // Token usage: report each assistant message once it completes (worker dedupes by id)
+      const info = props.info
+      if (type === 'message.updated' && info?.role === 'assistant' && info.tokens && info.time?.completed) {
+        const t = info.tokens
+        await oc.usage([{
+          id: info.id,
+          model: info.providerID && info.modelID ? `${info.providerID}/${info.modelID}` : (info.modelID || oc.model),
+          input: t.input || 0,
+          output: (t.output || 0) + (t.reasoning || 0),
+          cacheRead: t.cache?.read || 0,
+          cacheWrite: t.cache?.write || 0
+        }])
       }
 
       if (type === 'message.updated' && event.properties?.role === 'assistant') {
         const text = event.properties?.content
         if (text && typeof text === 'string') {
-          await postEvent(makeEvent('notification', { message: text.slice(0, 200) }))
+          await oc.notify(text.slice(0, 200))
         }
       }
     }
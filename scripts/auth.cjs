@@ -0,0 +1,33 @@
+/**
+ * auth.cjs - Worker API tokens shared by the worker, hooks and CLI (CommonJS)
+ * ~/.monikhao/auth.json holds an `admin` token (full access; used by hooks and
+ * tooling) and a `read` token for view-only dashboard users.
+ */
+const { readFileSync, writeFileSync, mkdirSync } = require('fs');
+const { join, dirname } = require('path');
+const { homedir } = require('os');
+const { randomBytes } = require('crypto');
+
+const AUTH_FILE = join(homedir(), '.monikhao', 'auth.json');
+
+function readTokens() {
+  try { return JSON.parse(readFileSync(AUTH_FILE, 'utf8')); } catch { return null; }
+}
+
+/** Load the tokens, generating the file (owner-only) on first run. Used by the worker. */
+function ensureTokens() {
+  const existing = readTokens();
+  if (existing && existing.admin && existing.read) return existing;
+  const tokens = { admin: randomBytes(24).toString('hex'), read: randomBytes(24).toString('hex') };
+  mkdirSync(dirname(AUTH_FILE), { recursive: true });
+  writeFileSync(AUTH_FILE, JSON.stringify(tokens, null, 2) + '\n', { mode: 0o600 });
+  return tokens;
+}
+
+/** Request headers carrying the admin token (MONIKHAO_TOKEN overrides), or {} if there is none yet. */
+function authHeaders() {
+  const token = process.env.MONIKHAO_TOKEN || (readTokens() || {}).admin;
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+module.exports = { AUTH_FILE, readTokens, ensureTokens, authHeaders };
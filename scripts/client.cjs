@@ -0,0 +1,387 @@
+/**
+ * client.cjs - Monikhao client for agents, hooks and plugins (CommonJS)
+ * Everything a platform needs to report to the worker: finding or spawning
+ * it, posting events (batched, spooled when the worker is down), session
+ * lifecycle helpers and tool name normalization. The Claude Code hooks, the
+ * OpenCode plugin, kmoni-ctl and the MCP server are built on it; other agents
+ * should be too.
+ *
+ *   const { createClient } = require('<Monikhao>/scripts/client.cjs');
+ *   const monikhao = createClient({ source: 'aider', generateSessionId: true });
+ *   await monikhao.ensureWorker();
+ *   await monikhao.startSession({ model: 'gpt-5' });
+ *   await monikhao.toolStart('bash', { command: 'ls' });
+ *
+ * Port: AGENT_MONITOR_PORT (default 37800). Root: MONIKHAO_ROOT (default the
+ * folder above this file).
+ */
+const { spawn, spawnSync } = require('child_process');
+const { existsSync, mkdirSync, writeFileSync, readFileSync, appendFileSync, unlinkSync, openSync, closeSync } = require('fs');
+const { request: httpRequest } = require('http');
+const { homedir } = require('os');
+const { resolve, join } = require('path');
+const { readTokens, authHeaders } = require('./auth.cjs');
+const { eventId, spoolEvent } = require('./spool.cjs');
+const { SCHEMA_VERSION } = require('./event-schema.cjs');
+
+const PORT = parseInt(process.env.AGENT_MONITOR_PORT || '37800');
+const HOST = '127.0.0.1';
+const ROOT = process.env.MONIKHAO_ROOT || resolve(__dirname, '..');
+const DATA_DIR = join(homedir(), '.monikhao');
+const PID_FILE = join(DATA_DIR, 'worker.pid');
+const LOCK_FILE = join(DATA_DIR, 'spawn.lock');
+const LOG_FILE = join(DATA_DIR, 'debug.log');
+const WORKER_LOG = join(DATA_DIR, 'worker-stderr.log');
+const LOCK_TTL = 20000; // A spawn lock older than this was left by a crashed spawner
+
+function debugLog(msg) {
+  try {
+    if (!existsSync(DATA_DIR)) mkdirSync(DATA_DIR, { recursive: true });
+    appendFileSync(LOG_FILE, `[${new Date().toISOString()}] ${msg}\n`);
+  } catch {}
+}
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+// ─── HTTP ────────────────────────────────────────────────────────────────────────
+
+/** Call the worker API. Resolves { status, body, json } (json null if not JSON); rejects on network errors. */
+function request(method, path, body, timeout = 3000) {
+  return new Promise((resolvePromise, reject) => {
+    const payload = body == null ? null : typeof body === 'string' ? body : JSON.stringify(body);
+    const headers = authHeaders();
+    if (payload) { headers['Content-Type'] = 'application/json'; headers['Content-Length'] = Buffer.byteLength(payload); }
+    const req = httpRequest({ hostname: HOST, port: PORT, path, method, headers, timeout }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        let json = null;
+        try { json = JSON.parse(data); } catch {}
+        resolvePromise({ status: res.statusCode, body: data, json });
+      });
+    });
+    req.on('error', reject);
+    req.on('timeout', () => req.destroy(new Error('timeout')));
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+function isHealthy() {
+  return request('GET', '/api/health', null, 2000).then(r => r.status === 200, () => false);
+}
+
+async function waitForHealth(timeoutMs) {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    if (await isHealthy()) return true;
+    await sleep(300);
+  }
+  return false;
+}
+
+// ─── Events ──────────────────────────────────────────────────────────────────────
+// Events the worker can't take (down, restarting, 5xx) are spooled for its next
+// start. Events it rejects (400) are logged with the schema problems and dropped;
+// so is a rejected token (401/403), once per process.
+
+function logRejected(event, problems) {
+  debugLog(`client: worker rejected ${event.phase || 'event'}: ${(problems || []).join('; ')}`);
+}
+
+let authFailureLogged = false;
+function logAuthFailure(status) {
+  if (authFailureLogged) return;
+  authFailureLogged = true;
+  debugLog(`client: worker refused events (${status}), check ~/.monikhao/auth.json or MONIKHAO_TOKEN`);
+}
+
+/** POST one event. Resolves the worker's JSON reply (e.g. a policy decision), or null. */
+async function sendEvent(event, { policy = false } = {}) {
+  try {
+    const res = await request('POST', policy ? '/api/events?policy=1' : '/api/events', event);
+    if (res.status >= 500) spoolEvent(event);
+    else if (res.status === 400) logRejected(event, res.json?.problems);
+    else if (res.status === 401 || res.status === 403) logAuthFailure(res.status);
+    return res.status < 300 ? res.json : null;
+  } catch {
+    spoolEvent(event);
+    return null;
+  }
+}
+
+/** POST several events as one batch (one dashboard update). */
+async function sendEvents(events) {
+  if (!events.length) return;
+  try {
+    const res = await request('POST', '/api/events/batch', events);
+    if (res.status === 404) {
+      // Worker predates the batch endpoint
+      for (const e of events) await sendEvent(e);
+    } else if (res.status >= 500) {
+      events.forEach(spoolEvent);
+    } else if (res.status === 401 || res.status === 403) {
+      logAuthFailure(res.status);
+    } else {
+      (res.json?.results || []).forEach((r, i) => { if (r.status === 'error') logRejected(events[i], r.problems || [r.error]); });
+    }
+  } catch {
+    events.forEach(spoolEvent);
+  }
+}
+
+/**
+ * Deliver events before the process exits (signal and exit handlers can't
+ * wait for a request): a child process posts them while this one blocks.
+ * Returns whether they were delivered; otherwise they are spooled.
+ */
+function sendEventsSync(events) {
+  if (!events.length) return true;
+  const script = `const d=require('fs').readFileSync(0,'utf8');` +
+    `const r=require('http').request({hostname:'${HOST}',port:${PORT},path:'/api/events/batch',method:'POST',` +
+    `headers:Object.assign({'Content-Type':'application/json','Content-Length':Buffer.byteLength(d)},process.env.MONIKHAO_TOKEN?{Authorization:'Bearer '+process.env.MONIKHAO_TOKEN}:{}),timeout:2000},` +
+    `res=>process.exit(res.statusCode>=500?1:0));r.on('error',()=>process.exit(1));r.on('timeout',()=>process.exit(1));r.end(d)`;
+  const token = process.env.MONIKHAO_TOKEN || (readTokens() || {}).admin || '';
+  const res = spawnSync(process.execPath, ['-e', script], {
+    input: JSON.stringify(events), timeout: 3000, stdio: ['pipe', 'ignore', 'ignore'], windowsHide: true,
+    env: { ...process.env, MONIKHAO_TOKEN: token }
+  });
+  if (res.status === 0) return true;
+  events.forEach(spoolEvent);
+  return false;
+}
+
+// ─── Worker Lifecycle ────────────────────────────────────────────────────────────
+
+// Only one spawner at a time (hooks and plugins start concurrently)
+function acquireLock() {
+  try {
+    if (existsSync(LOCK_FILE)) {
+      const lockData = JSON.parse(readFileSync(LOCK_FILE, 'utf8'));
+      if (Date.now() - lockData.ts < LOCK_TTL) return false;
+    }
+    writeFileSync(LOCK_FILE, JSON.stringify({ ts: Date.now(), pid: process.pid }));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function releaseLock() {
+  try { unlinkSync(LOCK_FILE); } catch {}
+}
+
+function killStaleWorker() {
+  try {
+    const info = JSON.parse(readFileSync(PID_FILE, 'utf8'));
+    if (info.pid) {
+      try {
+        process.kill(info.pid, 0); // Alive?
+        debugLog(`client: killing stale worker PID ${info.pid}`);
+        process.kill(info.pid);
+      } catch {}
+    }
+  } catch {}
+}
+
+// Last lines the worker wrote to stderr (why it failed to start)
+function workerStderr() {
+  try { return readFileSync(WORKER_LOG, 'utf8').trim().slice(-500); } catch { return ''; }
+}
+
+/**
+ * Spawn a detached worker with the current runtime (node or bun, both run
+ * .cjs), replacing a stale one from the pid file. Returns its pid, or null.
+ * No health wait and no lock; ensureWorker() is the safe entry point.
+ */
+async function startWorker({ root = ROOT } = {}) {
+  const script = join(root, 'scripts', 'worker-service.cjs');
+  if (!existsSync(script)) { debugLog(`client: worker script not found: ${script}`); return null; }
+
+  killStaleWorker();
+  await sleep(500); // Let the port be released
+
+  if (!existsSync(DATA_DIR)) mkdirSync(DATA_DIR, { recursive: true });
+  let stderrFd;
+  try { stderrFd = openSync(WORKER_LOG, 'w'); } catch { stderrFd = 'ignore'; }
+
+  // MONIKHAO_ROOT makes the worker read config/web from the same install whoever spawned it
+  const child = spawn(process.execPath, [script], {
+    detached: true,
+    stdio: ['ignore', 'ignore', stderrFd],
+    env: { ...process.env, AGENT_MONITOR_PORT: String(PORT), MONIKHAO_ROOT: root },
+    cwd: root,
+    windowsHide: true
+  });
+  child.unref();
+  if (typeof stderrFd === 'number') { try { closeSync(stderrFd); } catch {} }
+
+  if (!child.pid) { debugLog('client: failed to spawn worker - no PID returned'); return null; }
+  writeFileSync(PID_FILE, JSON.stringify({ pid: child.pid, port: PORT, startedAt: new Date().toISOString() }));
+  debugLog(`client: spawned worker PID ${child.pid} (runtime: ${process.execPath})`);
+  return child.pid;
+}
+
+/** Make sure a worker is answering, spawning one if needed. Resolves whether it is healthy. */
+async function ensureWorker({ root = ROOT } = {}) {
+  if (await isHealthy()) return true;
+
+  // Another hook or plugin is spawning it: wait for that one
+  if (!acquireLock()) return waitForHealth(LOCK_TTL);
+
+  try {
+    if (await isHealthy()) return true;
+    if (!(await startWorker({ root }))) return false;
+    const healthy = await waitForHealth(15000);
+    if (!healthy) {
+      const err = workerStderr();
+      debugLog(`client: worker failed to start${err ? `: ${err}` : ''}`);
+    }
+    return healthy;
+  } finally {
+    releaseLock();
+  }
+}
+
+// ─── Tool Names ──────────────────────────────────────────────────────────────────
+// The dashboard, policy and file tracking know Claude Code's tool names. Other
+// platforms' equivalents are mapped onto them; unknown names pass through.
+const TOOL_NAMES = {
+  read: 'Read', read_file: 'Read', view: 'Read',
+  write: 'Write', write_file: 'Write', create_file: 'Write',
+  edit: 'Edit', edit_file: 'Edit', str_replace: 'Edit', str_replace_editor: 'Edit', patch: 'Edit', apply_patch: 'Edit',
+  multiedit: 'MultiEdit', multi_edit: 'MultiEdit',
+  bash: 'Bash', shell: 'Bash', exec: 'Bash', exec_command: 'Bash', run_command: 'Bash', terminal: 'Bash',
+  grep: 'Grep', search: 'Grep',
+  glob: 'Glob',
+  websearch: 'WebSearch', web_search: 'WebSearch',
+  webfetch: 'WebFetch', web_fetch: 'WebFetch', fetch: 'WebFetch', browser: 'WebFetch',
+  todowrite: 'TodoWrite', todo_write: 'TodoWrite', todo: 'TodoWrite', update_plan: 'TodoWrite',
+  task: 'Task'
+};
+
+function normalizeToolName(name) {
+  if (!name) return null;
+  return TOOL_NAMES[String(name).toLowerCase().replace(/[\s-]+/g, '_')] || String(name);
+}
+
+// Prompt text is opt-in (config.json capture.prompts); the worker redacts and truncates it
+function promptCaptureEnabled(root = ROOT) {
+  try { return !!JSON.parse(readFileSync(join(root, 'config.json'), 'utf8')).capture?.prompts; } catch { return false; }
+}
+
+// ─── Client ──────────────────────────────────────────────────────────────────────
+
+/**
+ * A reporter for one platform. Options: source (platform name), sessionId,
+ * model, cwd, batchDelayMs (buffer events that long and send them as one
+ * batch; 0 posts each right away). With sessionPrefix or generateSessionId
+ * the client owns the session and makes up `${sessionPrefix || source}-...`
+ * when none is set; otherwise events carry sessionId as given (hooks relay
+ * the platform's, possibly null). sessionId, model and cwd may be reassigned.
+ */
+function createClient(options = {}) {
+  const source = options.source || 'custom';
+  const batchDelay = options.batchDelayMs || 0;
+  let batch = [];
+  let batchTimer = null;
+  let batchSent = null; // Resolves once the current buffer has been flushed
+  let exitHooked = false;
+  const ownsSession = !!(options.sessionPrefix || options.generateSessionId);
+
+  const client = {
+    source,
+    sessionId: options.sessionId || null,
+    model: options.model || null,
+    cwd: options.cwd || null,
+
+    session() {
+      if (!client.sessionId && ownsSession) client.sessionId = `${options.sessionPrefix || source}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      return client.sessionId;
+    },
+
+    /** Build an event for the current session (see GET /api/schema for fields). */
+    event(phase, fields) {
+      return {
+        event_id: eventId(), schema_version: SCHEMA_VERSION,
+        phase, timestamp: Date.now(), session_id: client.session(),
+        source, model: client.model, cwd: client.cwd,
+        ...fields
+      };
+    },
+
+    /** Send an event now, or with the next batch. */
+    send(phase, fields) {
+      const event = client.event(phase, fields);
+      if (!batchDelay) return sendEvent(event);
+      batch.push(event);
+      if (!batchTimer) {
+        batchSent = new Promise(r => { batchTimer = setTimeout(() => client.flush().then(r), batchDelay); });
+      }
+      return batchSent;
+    },
+
+    /** Events buffered for the next batch, removed from the buffer. */
+    takeBatch() {
+      clearTimeout(batchTimer);
+      batchTimer = null;
+      const events = batch;
+      batch = [];
+      return events;
+    },
+
+    flush() { return sendEvents(client.takeBatch()); },
+
+    /** Synchronous flush for exit paths; `extra` events are sent along. */
+    flushSync(...extra) { return sendEventsSync([...client.takeBatch(), ...extra]); },
+
+    ensureWorker() { return ensureWorker(); },
+
+    // Session lifecycle
+    startSession(fields) { return client.send('session_start', fields); },
+    endSession(reason) {
+      const sent = client.send('session_end', reason ? { reason } : {});
+      client.sessionId = null;
+      return sent;
+    },
+    prompt(text) { return client.send('user_prompt', text && promptCaptureEnabled() ? { prompt: text } : {}); },
+    turnEnd(fields) { return client.send('turn_end', fields); },
+    notify(message) { return client.send('notification', { message }); },
+    usage(entries) { return client.send('usage', { usage: entries }); },
+    compact(trigger) { return client.send('compact', trigger ? { trigger } : {}); },
+
+    // Tool calls: pass the same toolUseId to both so the worker can pair them
+    toolStart(name, input, fields) {
+      return client.send('pre', { tool_name: normalizeToolName(name), tool_input: input ?? null, ...fields });
+    },
+    toolEnd(name, input, response, fields) {
+      return client.send('post', { tool_name: normalizeToolName(name), tool_input: input ?? null, tool_response: response ?? null, ...fields });
+    },
+
+    /** End the session (sending anything still buffered) when the process exits. Idempotent. */
+    endOnExit() {
+      if (exitHooked) return;
+      exitHooked = true;
+      let ended = false;
+      const end = () => {
+        if (ended) return;
+        ended = true;
+        const ok = client.flushSync(client.event('session_end'));
+        debugLog(`client: ${source} session end on exit ${ok ? 'sent' : 'spooled'}: ${client.sessionId}`);
+      };
+      process.on('SIGINT', () => { end(); process.exit(); });
+      process.on('SIGTERM', () => { end(); process.exit(); });
+      process.on('beforeExit', end);
+    }
+  };
+  return client;
+}
+
+module.exports = {
+  PORT, HOST, ROOT, DATA_DIR, PID_FILE, LOCK_FILE, WORKER_LOG,
+  debugLog, request, isHealthy, waitForHealth,
+  sendEvent, sendEvents, sendEventsSync,
+  acquireLock, releaseLock, startWorker, ensureWorker, workerStderr,
+  normalizeToolName, promptCaptureEnabled, createClient
+};
@@ -1,70 +1,27 @@
 /**
  * event-hook.cjs - Universal hook event forwarder (CommonJS)
  * Receives tool call data from stdin (JSON), POSTs to worker service.
- * On 'pre' events, reads the transcript to extract Claude's latest thinking text.
- * Arg: "pre" or "post" passed via process.argv[2]
+ * Reads the transcript to extract Claude's latest thinking text (on 'pre') and
+ * per-message token usage, which the worker de-duplicates by message id.
+ * 'pre' events also ask the worker's policy engine for a decision; a deny is
+ * printed as Claude Code PreToolUse output. Any failure fails open (exit 0, allow).
+ * Events the worker can't take are spooled for it to ingest on its next start.
+ * 'user_prompt' (UserPromptSubmit) carries the prompt text only when prompt
+ * capture is enabled in config.json; the worker redacts and truncates it.
+ * 'compact' (PreCompact) forwards the trigger and the usage the context is
+ * measured from just before it gets summarized.
+ * Arg: "pre", "post", "subagent_start", "subagent_stop", "user_prompt" or "compact"
+ * passed via process.argv[2]
  */
-const { request } = require('http');
-const { appendFileSync, existsSync, mkdirSync, readFileSync, statSync } = require('fs');
-const { join } = require('path');
-const { homedir } = require('os');
+const { extractTranscriptInfo } = require('./transcript.cjs');
+const { debugLog, sendEvent, promptCaptureEnabled, createClient } = require('./client.cjs');
 
 const phase = process.argv[2] || 'post';
-const PORT = parseInt(process.env.AGENT_MONITOR_PORT || '37800');
-const DATA_DIR = join(homedir(), '.monikhao');
-const LOG_FILE = join(DATA_DIR, 'debug.log');
-
-function debugLog(msg) {
-  try {
-    if (!existsSync(DATA_DIR)) mkdirSync(DATA_DIR, { recursive: true });
-    appendFileSync(LOG_FILE, `[${new Date().toISOString()}] ${msg}\n`);
-  } catch {}
-}
-
-/**
- * Read the last assistant entry from the transcript JSONL.
- * Returns { thinking, model } — only reads the tail (last 8KB) for speed.
- */
-function extractTranscriptInfo(transcriptPath) {
-  const result = { thinking: null, model: null };
-  if (!transcriptPath || !existsSync(transcriptPath)) return result;
-  try {
-    const stat = statSync(transcriptPath);
-    const tailSize = Math.min(stat.size, 8192);
-    const fd = require('fs').openSync(transcriptPath, 'r');
-    const buf = Buffer.alloc(tailSize);
-    require('fs').readSync(fd, buf, 0, tailSize, stat.size - tailSize);
-    require('fs').closeSync(fd);
-
-    const tail = buf.toString('utf8');
-    const lines = tail.split('\n').filter(Boolean);
-    if (tailSize < stat.size) lines.shift();
-
-    for (let i = lines.length - 1; i >= 0; i--) {
-      try {
-        const entry = JSON.parse(lines[i]);
-        if (entry.type === 'assistant' && entry.message) {
-          if (!result.model && entry.message.model) {
-            result.model = entry.message.model;
-          }
-          if (!result.thinking && entry.message.content) {
-            const thoughts = entry.message.content
-              .filter(c => c.type === 'thinking' && c.thinking)
-              .map(c => c.thinking);
-            if (thoughts.length) result.thinking = thoughts[thoughts.length - 1].slice(0, 300);
-          }
-          if (result.thinking && result.model) break;
-        }
-      } catch {}
-    }
-  } catch {}
-  return result;
-}
 
 let input = '';
 process.stdin.setEncoding('utf8');
 process.stdin.on('data', chunk => { input += chunk; });
-process.stdin.on('end', () => {
+process.stdin.on('end', async () => {
   let data;
   try {
     data = input ? JSON.parse(input) : {};
@@ -72,44 +29,54 @@ process.stdin.on('end', () => {
     process.exit(0);
   }
 
+  // The plugin's own /kmoni-* commands are handled by prompt-hook.cjs and never
+  // reach the model, so they aren't turns. UserPromptSubmit ignores matchers,
+  // hence the check here rather than in hooks.json.
+  if (phase === 'user_prompt' && /^\s*\/kmoni-/.test(data.prompt || data.user_prompt || '')) process.exit(0);
+
   debugLog(`event-hook ${phase}: tool=${data.tool_name || 'none'} session=${data.session_id || 'none'}`);
 
-  // On 'pre' events, extract thinking text + model from the transcript
+  // Thinking text + model (pre only) and token usage from the transcript.
+  // A finished subagent reports its own transcript, read further back.
   let thinking = null;
   let model = null;
-  if (phase === 'pre' && data.transcript_path) {
+  let usage = null;
+  if (phase === 'subagent_stop' && data.agent_transcript_path) {
+    usage = extractTranscriptInfo(data.agent_transcript_path, 262144).usage;
+  } else if ((phase === 'pre' || phase === 'post' || phase === 'compact') && data.transcript_path) {
     const info = extractTranscriptInfo(data.transcript_path);
-    thinking = info.thinking;
-    model = info.model;
+    if (phase === 'pre') {
+      thinking = info.thinking;
+      model = info.model;
+    }
+    usage = info.usage;
   }
 
-  const payload = JSON.stringify({
-    phase,
-    timestamp: Date.now(),
-    session_id: data.session_id || null,
-    source: 'claudecode',
+  const monikhao = createClient({ source: 'claudecode', sessionId: data.session_id, model, cwd: data.cwd });
+  const event = monikhao.event(phase, {
     tool_name: data.tool_name || null,
     tool_input: data.tool_input || null,
     tool_response: phase === 'post' ? (data.tool_response || null) : null,
+    tool_use_id: data.tool_use_id || null,
+    agent_id: data.agent_id || null,
+    agent_type: data.agent_type || null,
     thinking: thinking,
-    model: model,
-    cwd: data.cwd || null
+    usage: usage && usage.length ? usage : null,
+    prompt: phase === 'user_prompt' && promptCaptureEnabled() ? (data.prompt || data.user_prompt || null) : undefined,
+    trigger: phase === 'compact' ? (data.trigger || null) : undefined
   });
 
-  const req = request({
-    hostname: '127.0.0.1',
-    port: PORT,
-    path: '/api/events',
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Content-Length': Buffer.byteLength(payload)
-    },
-    timeout: 3000
-  }, () => process.exit(0));
-
-  req.on('error', () => process.exit(0));
-  req.on('timeout', () => { req.destroy(); process.exit(0); });
-  req.write(payload);
-  req.end();
+  // Worker down or restarting: the event is spooled for its next start (and the call allowed)
+  const result = await sendEvent(event, { policy: phase === 'pre' });
+  if (phase === 'pre' && result && result.decision === 'deny') {
+    debugLog(`event-hook pre: policy blocked ${data.tool_name} (${result.rule})`);
+    process.stdout.write(JSON.stringify({
+      hookSpecificOutput: {
+        hookEventName: 'PreToolUse',
+        permissionDecision: 'deny',
+        permissionDecisionReason: `Monikhao policy: ${result.reason}`
+      }
+    }));
+  }
+  process.exit(0);
 });
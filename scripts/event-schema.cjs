@@ -0,0 +1,94 @@
+/**
+ * event-schema.cjs - Versioned schema of the events POSTed to /api/events (CommonJS)
+ * One table describes every phase and field; the worker validates incoming
+ * events against it and serves it at GET /api/schema.
+ */
+
+// Bumped on incompatible changes. Events may name the version they target;
+// an event without one is taken as the current version.
+const SCHEMA_VERSION = 1;
+
+// Phases a platform may send, with the fields each needs beyond phase and
+// session_id. Worker-made phases (policy_block, annotation) are not accepted.
+const EVENT_PHASES = {
+  session_start: { description: 'A session started, resumed or was cleared; send again to report a model change' },
+  session_end:   { description: 'The session closed' },
+  user_prompt:   { description: 'The user sent a prompt; starts a turn' },
+  turn_start:    { description: 'A turn started (no prompt text)' },
+  turn_end:      { description: 'The agent finished responding and waits for the user' },
+  pre:           { required: ['tool_name'], description: 'A tool call is about to run' },
+  post:          { required: ['tool_name'], description: 'A tool call finished' },
+  subagent_start: { required: ['agent_id'], description: 'A subagent started' },
+  subagent_stop: { required: ['agent_id'], description: 'A subagent finished' },
+  notification:  { description: 'An agent response or notification to show' },
+  usage:         { required: ['usage'], description: 'Token usage not attached to a tool call' },
+  compact:       { description: 'The context is about to be (or was just) compacted' }
+};
+
+// Known fields. null means the same as absent; unknown fields are kept as is.
+const EVENT_FIELDS = {
+  schema_version: { type: 'number', description: `Schema version the sender targets (default ${SCHEMA_VERSION})` },
+  event_id:      { type: 'string', description: 'Unique id; an event both delivered and spooled is ingested once' },
+  phase:         { type: 'string', required: true, description: 'One of the phases' },
+  timestamp:     { type: 'number', description: 'Milliseconds since the epoch (default: when received)' },
+  session_id:    { type: 'string', required: true, description: 'Platform session id' },
+  source:        { type: 'string', description: 'Platform: claudecode, opencode, hermes or a short name of your own' },
+  model:         { type: 'string', description: 'Model id, e.g. claude-opus-4-6 or anthropic/claude-opus-4.6' },
+  cwd:           { type: 'string', description: 'Working directory; the first one seen becomes the session project' },
+  agent_id:      { type: 'string', description: 'Platform id of the subagent behind the event' },
+  agent_type:    { type: 'string', description: 'Subagent type, e.g. Explore' },
+  tool_name:     { type: 'string', description: 'Tool name (pre, post)' },
+  tool_input:    { type: 'object', description: 'Tool arguments (pre, post); secrets are redacted' },
+  tool_response: { type: 'any', description: 'Tool result (post); secrets are redacted' },
+  tool_use_id:   { type: 'string', description: 'Pairs a post with its pre' },
+  thinking:      { type: 'string', description: 'Latest reasoning text (pre); secrets are redacted' },
+  usage:         { type: 'array', description: 'Per assistant message: [{ id, model, input, output, cacheRead, cacheWrite }]' },
+  message:       { type: 'string', description: 'Response or notification text (notification); secrets are redacted' },
+  prompt:        { type: 'string', description: 'Prompt text (user_prompt); dropped unless capture.prompts is on' },
+  reason:        { type: 'string', description: 'Why the session ended (session_end)' },
+  trigger:       { type: 'string', description: 'manual or auto (compact)' }
+};
+
+const SOURCE_NAME = /^[A-Za-z0-9][\w.-]{0,31}$/;
+const USAGE_COUNTS = ['input', 'output', 'cacheRead', 'cacheWrite'];
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/** Problems with an event as "field: message" strings; empty when it is valid. */
+function validateEvent(event) {
+  if (typeOf(event) !== 'object') return ['event: must be a JSON object'];
+  const problems = [];
+  const phase = EVENT_PHASES[event.phase];
+  const required = new Set(phase?.required || []);
+
+  for (const [name, field] of Object.entries(EVENT_FIELDS)) {
+    const value = event[name];
+    if (value == null || value === '') {
+      if (field.required || required.has(name)) problems.push(`${name}: required`);
+      continue;
+    }
+    if (field.type !== 'any' && typeOf(value) !== field.type) problems.push(`${name}: must be ${field.type === 'array' || field.type === 'object' ? 'an' : 'a'} ${field.type}`);
+  }
+  if (typeof event.phase === 'string' && event.phase && !phase) problems.push(`phase: unknown phase "${event.phase}" (one of ${Object.keys(EVENT_PHASES).join(', ')})`);
+  if (typeof event.schema_version === 'number' && !(event.schema_version >= 1 && event.schema_version <= SCHEMA_VERSION)) {
+    problems.push(`schema_version: ${event.schema_version} is not supported (current ${SCHEMA_VERSION})`);
+  }
+  if (typeof event.timestamp === 'number' && !(Number.isFinite(event.timestamp) && event.timestamp > 0)) problems.push('timestamp: must be a positive number of milliseconds');
+  if (typeof event.source === 'string' && !SOURCE_NAME.test(event.source)) problems.push('source: must be a short name (letters, digits, "_", "." or "-")');
+
+  if (Array.isArray(event.usage)) {
+    event.usage.forEach((u, i) => {
+      if (typeOf(u) !== 'object') { problems.push(`usage[${i}]: must be an object`); return; }
+      if (typeof u.id !== 'string' || !u.id) problems.push(`usage[${i}].id: required`);
+      for (const k of USAGE_COUNTS) {
+        if (u[k] != null && !(typeof u[k] === 'number' && u[k] >= 0)) problems.push(`usage[${i}].${k}: must be a non-negative number`);
+      }
+    });
+  }
+  return problems;
+}
+
+module.exports = { SCHEMA_VERSION, EVENT_PHASES, EVENT_FIELDS, validateEvent };
@@ -7,6 +7,16 @@
  *   node kmoni-ctl.cjs off      Shut down the worker
  *   node kmoni-ctl.cjs status   Print health + session info
  *   node kmoni-ctl.cjs install  Install npm dependencies
+ *   node kmoni-ctl.cjs token    Print the dashboard login tokens
+ *   node kmoni-ctl.cjs watch    Live terminal dashboard (for SSH sessions)
+ *   node kmoni-ctl.cjs tail     Follow the event feed (--source/--session/--tool/--type/--since)
+ *   node kmoni-ctl.cjs history  List archived sessions
+ *   node kmoni-ctl.cjs export <session> [--format json|csv|md] [--out file|-]
+ *   node kmoni-ctl.cjs doctor   Diagnose the install (pass/fail checklist with fixes)
+ *   node kmoni-ctl.cjs uninstall [--purge] [--dry-run]  Remove plugin registration and copies
+ *   node kmoni-ctl.cjs upgrade [--force]   Re-sync the plugin cache and restart the worker
+ *
+ * tail, history and export accept --json for machine-readable output.
  *
  * Exit codes:  0 = success,  1 = failure
  * Stdout is the human-readable result (safe to display to users).
@@ -15,19 +25,21 @@
 'use strict'
 
 const http = require('node:http')
-const { spawn, execFileSync } = require('node:child_process')
-const { existsSync, mkdirSync, writeFileSync, readFileSync, openSync, closeSync } = require('node:fs')
-const { join, resolve } = require('node:path')
+const { execFileSync } = require('node:child_process')
+const { existsSync, mkdirSync, writeFileSync, readFileSync, readdirSync, statSync, unlinkSync, lstatSync, rmSync } = require('node:fs')
+const { join, resolve, dirname } = require('node:path')
 const { homedir } = require('node:os')
+const { AUTH_FILE, readTokens, authHeaders } = require('./auth.cjs')
+const client = require('./client.cjs')
 
 // ── Config ──────────────────────────────────────────────────────────────────────
 
-const PORT = parseInt(process.env.AGENT_MONITOR_PORT || '37800')
-const HOST = '127.0.0.1'
+const { PORT, HOST, DATA_DIR, PID_FILE, WORKER_LOG, LOCK_FILE } = client
 
-const DATA_DIR   = join(homedir(), '.monikhao')
-const PID_FILE   = join(DATA_DIR, 'worker.pid')
-const WORKER_LOG = join(DATA_DIR, 'worker-stderr.log')
+const CC_PLUGINS  = join(homedir(), '.claude', 'plugins')
+const CC_CACHE    = join(CC_PLUGINS, 'cache', 'khaos', 'monikhao', '1.0.0')
+const OC_PLUGINS  = join(homedir(), '.config', 'opencode', 'plugins')
+const HERMES_HOOK = join(homedir(), '.hermes', 'hooks', 'monikhao')
 
 // ── Find Monikhao root ─────────────────────────────────────────────────────────
 
@@ -51,28 +63,24 @@ var WORKER_SCRIPT = ROOT ? join(ROOT, 'scripts', 'worker-service.cjs') : null
 
 // ── HTTP helper ─────────────────────────────────────────────────────────────────
 
-function httpReq(method, path, timeout) {
-  timeout = timeout || 3000
-  return new Promise(function (res, rej) {
-    var req = http.request({ hostname: HOST, port: PORT, path: path, method: method, timeout: timeout }, function (resp) {
-      var data = ''
-      resp.on('data', function (c) { data += c })
-      resp.on('end', function () { res({ status: resp.statusCode, body: data }) })
-    })
-    req.on('error', rej)
-    req.on('timeout', function () { req.destroy(); rej(new Error('timeout')) })
-    req.end()
-  })
+function httpReq(method, path, timeout, body) {
+  return client.request(method, path, body, timeout || 3000)
 }
 
-function isHealthy() {
-  return httpReq('GET', '/api/health').then(function (r) { return r.status === 200 }).catch(function () { return false })
-}
+var isHealthy = client.isHealthy
 
 function getState() {
   return httpReq('GET', '/api/state').then(function (r) { return JSON.parse(r.body) }).catch(function () { return null })
 }
 
+function getBudgets() {
+  return httpReq('GET', '/api/budgets').then(function (r) { return JSON.parse(r.body) }).catch(function () { return null })
+}
+
+function formatBudget(metric, v) {
+  return metric === 'cost' ? '$' + v.toFixed(2) : Math.round(v).toLocaleString() + ' tokens'
+}
+
 // ── Sleep ───────────────────────────────────────────────────────────────────────
 
 function sleep(ms) { return new Promise(function (r) { setTimeout(r, ms) }) }
@@ -93,35 +101,8 @@ async function cmdOn() {
     process.exit(1)
   }
 
-  // Kill stale worker
-  try {
-    if (existsSync(PID_FILE)) {
-      var info = JSON.parse(readFileSync(PID_FILE, 'utf8'))
-      if (info.pid) { try { process.kill(info.pid) } catch (_) {} }
-    }
-  } catch (_) {}
-
-  await sleep(300)
-
-  if (!existsSync(DATA_DIR)) mkdirSync(DATA_DIR, { recursive: true })
-
-  var stderrFd
-  try { stderrFd = openSync(WORKER_LOG, 'w') } catch (_) { stderrFd = 'ignore' }
-
-  var child = spawn(process.execPath, [WORKER_SCRIPT], {
-    detached: true,
-    stdio: ['ignore', 'ignore', stderrFd],
-    env: Object.assign({}, process.env, { AGENT_MONITOR_PORT: String(PORT), MONIKHAO_ROOT: ROOT }),
-    cwd: ROOT,
-    windowsHide: true
-  })
-  child.unref()
-
-  if (child.pid) {
-    writeFileSync(PID_FILE, JSON.stringify({ pid: child.pid, port: PORT, startedAt: new Date().toISOString() }))
-  }
-
-  if (typeof stderrFd === 'number') { try { closeSync(stderrFd) } catch (_) {} }
+  // Replaces a stale worker from the pid file
+  var pid = await client.startWorker({ root: ROOT })
 
   // Wait for health
   var ok = false
@@ -131,16 +112,12 @@ async function cmdOn() {
   }
 
   if (ok) {
-    console.log('Monikhao worker started (PID ' + child.pid + ', port ' + PORT + ')')
+    console.log('Monikhao worker started (PID ' + pid + ', port ' + PORT + ')')
     console.log('Dashboard: http://' + HOST + ':' + PORT)
   } else {
     console.error('Worker failed to start.')
-    try {
-      if (existsSync(WORKER_LOG)) {
-        var err = readFileSync(WORKER_LOG, 'utf8').trim()
-        if (err) console.error('Stderr: ' + err.slice(0, 300))
-      }
-    } catch (_) {}
+    var err = client.workerStderr()
+    if (err) console.error('Stderr: ' + err.slice(0, 300))
     process.exit(1)
   }
 }
@@ -211,9 +188,80 @@ async function cmdStatus() {
     var agents = s.agents ? Object.keys(s.agents).length : 0
     console.log('  ' + sessions[i] + ' (' + (s.source || '?') + ', ' + agents + ' agent' + (agents !== 1 ? 's' : '') + ')')
   }
+
+  var budgets = await getBudgets()
+  var status = budgets && budgets.status ? budgets.status : []
+  if (status.length) {
+    console.log('Budget remaining:')
+    for (var b = 0; b < status.length; b++) {
+      var bs = status[b]
+      var flag = bs.level === 'exceeded' ? '  [EXCEEDED]' : bs.level === 'warning' ? '  [warning]' : ''
+      console.log('  ' + bs.scope + ' ' + bs.label + ': ' + formatBudget(bs.metric, bs.remaining) + ' of ' +
+        formatBudget(bs.metric, bs.limit) + ' (' + Math.round(bs.ratio * 100) + '% used)' + flag)
+    }
+  }
   console.log('Dashboard: http://' + HOST + ':' + PORT)
 }
 
+// ── Install helpers ────────────────────────────────────────────────────────────
+
+function installDeps(cwd) {
+  try {
+    execFileSync('npm', ['install', '--production'], { cwd: cwd, stdio: 'inherit', timeout: 120000 })
+    return true
+  } catch (_) {
+    try {
+      execFileSync('bun', ['install', '--production'], { cwd: cwd, stdio: 'inherit', timeout: 120000 })
+      return true
+    } catch (_2) {
+      return false
+    }
+  }
+}
+
+// Files the Claude Code plugin cache mirrors from the checkout (paths relative to both)
+function claudeCacheFiles() {
+  var files = ['hooks/hooks.json', '.claude-plugin/plugin.json', 'config.json', 'package.json']
+  var dirs = ['scripts', 'web']
+  for (var d = 0; d < dirs.length; d++) {
+    try {
+      var names = readdirSync(join(ROOT, dirs[d]))
+      for (var n = 0; n < names.length; n++) {
+        if (statSync(join(ROOT, dirs[d], names[n])).isFile()) files.push(dirs[d] + '/' + names[n])
+      }
+    } catch (_) {}
+  }
+  return files.filter(function (f) { return existsSync(join(ROOT, f)) })
+}
+
+// Mirror the checkout into the plugin cache. With `prune`, scripts/ and web/
+// files that no longer exist in the checkout are removed from the cache.
+function syncClaudeCache(prune) {
+  var files = claudeCacheFiles()
+  var copied = 0, removed = 0
+  for (var i = 0; i < files.length; i++) {
+    var dstPath = join(CC_CACHE, files[i])
+    try {
+      mkdirSync(dirname(dstPath), { recursive: true })
+      writeFileSync(dstPath, readFileSync(join(ROOT, files[i])))
+      copied++
+    } catch (_) {}
+  }
+  if (prune) {
+    var dirs = ['scripts', 'web']
+    for (var d = 0; d < dirs.length; d++) {
+      var names = []
+      try { names = readdirSync(join(CC_CACHE, dirs[d])) } catch (_) {}
+      for (var n = 0; n < names.length; n++) {
+        var rel = dirs[d] + '/' + names[n]
+        if (files.indexOf(rel) !== -1) continue
+        try { if (statSync(join(CC_CACHE, rel)).isFile()) { unlinkSync(join(CC_CACHE, rel)); removed++ } } catch (_) {}
+      }
+    }
+  }
+  return { copied: copied, removed: removed }
+}
+
 async function cmdInstall() {
   if (!ROOT) {
     console.error('Monikhao folder not found.')
@@ -230,84 +278,26 @@ async function cmdInstall() {
   if (existsSync(join(ROOT, 'node_modules', 'express', 'package.json'))) {
     console.log('  Dependencies already installed.')
     depsOk = true
+  } else if (installDeps(ROOT)) {
+    depsOk = true
   } else {
-    try {
-      execFileSync('npm', ['install', '--production'], { cwd: ROOT, stdio: 'inherit', timeout: 120000 })
-      depsOk = true
-    } catch (_) {
-      try {
-        execFileSync('bun', ['install', '--production'], { cwd: ROOT, stdio: 'inherit', timeout: 120000 })
-        depsOk = true
-      } catch (_2) {
-        errors.push('Failed to install npm dependencies (npm and bun both failed)')
-      }
-    }
+    errors.push('Failed to install npm dependencies (npm and bun both failed)')
   }
 
   // ── 2. Set up Claude Code plugin ────────────────────────────────────────────
   console.log('[2/4] Setting up Claude Code...')
-  var ccCache = join(home, '.claude', 'plugins', 'cache', 'khaos', 'monikhao', '1.0.0')
-  var ccPlugins = join(home, '.claude', 'plugins')
+  var ccCache = CC_CACHE
+  var ccPlugins = CC_PLUGINS
 
   if (existsSync(join(home, '.claude'))) {
-    // Create cache directory structure
-    if (!existsSync(ccCache)) {
-      mkdirSync(ccCache, { recursive: true })
-      mkdirSync(join(ccCache, 'scripts'), { recursive: true })
-      mkdirSync(join(ccCache, 'hooks'), { recursive: true })
-      mkdirSync(join(ccCache, 'web'), { recursive: true })
-      mkdirSync(join(ccCache, '.claude-plugin'), { recursive: true })
-    }
-
     // Copy scripts, hooks, web, config to cache
-    var copyItems = [
-      { src: 'hooks/hooks.json',     dst: 'hooks/hooks.json' },
-      { src: '.claude-plugin/plugin.json', dst: '.claude-plugin/plugin.json' },
-      { src: 'config.json',          dst: 'config.json' },
-      { src: 'package.json',         dst: 'package.json' },
-    ]
-    // Copy all scripts
-    try {
-      var scriptFiles = require('node:fs').readdirSync(join(ROOT, 'scripts'))
-      for (var sf = 0; sf < scriptFiles.length; sf++) {
-        copyItems.push({ src: 'scripts/' + scriptFiles[sf], dst: 'scripts/' + scriptFiles[sf] })
-      }
-    } catch (_) {}
-    // Copy web files
-    try {
-      var webFiles = require('node:fs').readdirSync(join(ROOT, 'web'))
-      for (var wf = 0; wf < webFiles.length; wf++) {
-        copyItems.push({ src: 'web/' + webFiles[wf], dst: 'web/' + webFiles[wf] })
-      }
-    } catch (_) {}
-
-    var copied = 0
-    for (var ci = 0; ci < copyItems.length; ci++) {
-      var srcPath = join(ROOT, copyItems[ci].src)
-      var dstPath = join(ccCache, copyItems[ci].dst)
-      if (existsSync(srcPath)) {
-        try {
-          var dstDir = require('node:path').dirname(dstPath)
-          if (!existsSync(dstDir)) mkdirSync(dstDir, { recursive: true })
-          writeFileSync(dstPath, readFileSync(srcPath))
-          copied++
-        } catch (_) {}
-      }
-    }
+    var copied = syncClaudeCache().copied
     console.log('  Copied ' + copied + ' files to Claude Code plugin cache.')
 
     // Install dependencies in cache so the worker can require them
     if (!existsSync(join(ccCache, 'node_modules', 'express', 'package.json'))) {
       console.log('  Installing dependencies in plugin cache...')
-      try {
-        execFileSync('npm', ['install', '--production'], { cwd: ccCache, stdio: 'inherit', timeout: 120000 })
-      } catch (_) {
-        try {
-          execFileSync('bun', ['install', '--production'], { cwd: ccCache, stdio: 'inherit', timeout: 120000 })
-        } catch (_2) {
-          errors.push('Failed to install dependencies in Claude Code plugin cache')
-        }
-      }
+      if (!installDeps(ccCache)) errors.push('Failed to install dependencies in Claude Code plugin cache')
     } else {
       console.log('  Dependencies already installed in plugin cache.')
     }
@@ -354,7 +344,7 @@ async function cmdInstall() {
 
   // ── 3. Set up OpenCode plugin ───────────────────────────────────────────────
   console.log('[3/4] Setting up OpenCode...')
-  var ocPlugins = join(home, '.config', 'opencode', 'plugins')
+  var ocPlugins = OC_PLUGINS
 
   if (existsSync(join(home, '.config', 'opencode'))) {
     if (!existsSync(ocPlugins)) mkdirSync(ocPlugins, { recursive: true })
@@ -407,6 +397,811 @@ async function cmdInstall() {
   }
 }
 
+async function cmdToken() {
+  var tokens = readTokens()
+  if (!tokens) {
+    console.log('No tokens yet. They are generated the first time the worker starts (/kmoni-on).')
+    return
+  }
+  console.log('Tokens (' + AUTH_FILE + '):')
+  console.log('  Admin:     ' + tokens.admin)
+  console.log('  Read-only: ' + tokens.read)
+  console.log('Remote dashboard viewers log in with one of these. Keep the admin token private.')
+}
+
+// ── Watch (terminal dashboard) ─────────────────────────────────────────────────
+// Live TUI over the worker WebSocket. Connects with ?protocol=1 so every
+// message carries the full getPublicState() shape; ←/→ (or Tab, h/l) switch
+// between sessions, q quits.
+
+var ESC = '\x1b['
+var C = { reset: ESC + '0m', bold: ESC + '1m', dim: ESC + '2m', inverse: ESC + '7m', red: ESC + '31m', green: ESC + '32m', yellow: ESC + '33m', cyan: ESC + '36m' }
+
+function loadWs() {
+  try { return require('ws') } catch (_) {}
+  try { return require(join(ROOT, 'node_modules', 'ws')) } catch (_) {}
+  return null
+}
+
+function clock(ts) { return ts ? new Date(ts).toLocaleTimeString('en-GB') : '--:--:--' }
+
+function elapsed(ts) {
+  if (!ts) return '?'
+  var s = Math.max(0, Math.round((Date.now() - ts) / 1000))
+  return s < 60 ? s + 's' : Math.floor(s / 60) + 'm' + (s % 60) + 's'
+}
+
+function cost(v) { return '$' + (v || 0).toFixed(2) }
+
+// Pad/cut to exactly `width` visible columns, then wrap in a color
+function fit(text, width, color) {
+  text = String(text).replace(/[\r\n\t]+/g, ' ')
+  text = text.length > width ? text.slice(0, Math.max(0, width - 1)) + '…' : text + ' '.repeat(width - text.length)
+  return color ? color + text + C.reset : text
+}
+
+function timelineDetail(e) {
+  var d = e.data || {}
+  if (e.type === 'policy_block') return 'blocked ' + (d.tool || '') + ': ' + (d.reason || '')
+  if (e.type === 'goal' || e.type === 'milestone') return e.type + ': ' + d.label
+  if (e.type === 'progress') return 'progress ' + Math.round(d.ratio * 100) + '%' + (d.note ? ': ' + d.note : '')
+  if (e.type === 'user_prompt') return 'prompt ' + (d.turn || '?') + (d.prompt ? ': ' + d.prompt : '')
+  if (e.type === 'turn_end') return 'turn ' + d.index + ' done in ' + (formatDuration(d.duration) || '0s') + ', ' + d.toolCalls + ' tool calls'
+  if (e.type === 'compaction') return 'context compacted' + compactionSizes(d)
+  if (d.tool) return d.tool + ' ' + (d.input || d.output || '')
+  return d.message || d.name || ''
+}
+
+// Agents in tree order (each parent followed by its subagents), with depth
+function agentTree(agents) {
+  var out = []
+  var byParent = {}
+  for (var i = 0; i < agents.length; i++) {
+    var p = agents[i].parentId || ''
+    ;(byParent[p] = byParent[p] || []).push(agents[i])
+  }
+  var seen = {}
+  function walk(parentId, depth) {
+    var kids = byParent[parentId] || []
+    for (var k = 0; k < kids.length; k++) {
+      if (seen[kids[k].id]) continue
+      seen[kids[k].id] = true
+      out.push({ agent: kids[k], depth: depth })
+      walk(kids[k].id, depth + 1)
+    }
+  }
+  walk('', 0)
+  // Orphans whose parent is gone
+  for (var j = 0; j < agents.length; j++) if (!seen[agents[j].id]) out.push({ agent: agents[j], depth: 0 })
+  return out
+}
+
+function renderWatch(view) {
+  var width = process.stdout.columns || 80
+  var height = process.stdout.rows || 24
+  var st = view.state
+  var lines = []
+
+  var stats = st ? st.stats || {} : {}
+  var header = 'Monikhao · port ' + PORT + ' · ' + view.status
+  if (st) {
+    header += ' · ' + (stats.activeSessionCount || 0) + '/' + (stats.sessionCount || 0) + ' sessions active · ' +
+      (stats.toolCalls || 0) + ' tool calls · ' + (stats.errors || 0) + ' errors · ' + cost(stats.cost)
+  }
+  lines.push(fit(header, width, C.bold))
+
+  var sessions = st ? st.sessions || [] : []
+  if (!sessions.length) {
+    lines.push('')
+    lines.push(fit(st ? 'No sessions yet. Start a Claude Code, OpenCode or Hermes session.' : 'Waiting for the worker…', width, C.dim))
+  } else {
+    var idx = Math.max(0, sessions.findIndex(function (s) { return s.id === view.selected }))
+    var session = sessions[idx]
+    view.selected = session.id
+
+    // Session tabs, scrolled so the selected one is visible
+    var labels = sessions.map(function (s) { return ' ' + (s.status === 'active' ? '●' : '○') + ' ' + s.id.slice(0, 12) + ' (' + (s.source || '?') + ') ' })
+    var first = 0, used = 0
+    for (var i = 0; i <= idx; i++) {
+      used += labels[i].length + 1
+      while (used > width - 2 && first < i) { used -= labels[first].length + 1; first++ }
+    }
+    var tabs = first > 0 ? '…' : ''
+    var shown = tabs.length
+    for (var j = first; j < labels.length && shown + labels[j].length + 1 <= width - 1; j++) {
+      tabs += (j === idx ? C.inverse + labels[j] + C.reset : labels[j]) + ' '
+      shown += labels[j].length + 1
+    }
+    if (j < labels.length) tabs += '…'
+    lines.push(tabs)
+
+    var agents = (st.agents || []).filter(function (a) { return a.sessionId === session.id })
+    var agentNames = {}
+    var sessionCost = 0, sessionErrors = 0
+    for (var a = 0; a < agents.length; a++) {
+      agentNames[agents[a].id] = agents[a].name
+      sessionCost += agents[a].cost || 0
+      for (var t = 0; t < agents[a].toolCalls.length; t++) if (agents[a].toolCalls[t].status === 'error') sessionErrors++
+    }
+    lines.push(fit('Session ' + session.id + ' · ' + (session.source || '?') + ' · ' + (session.model || 'model unknown') + ' · ' +
+      session.status + ' · started ' + clock(session.startedAt) + ' · ' + sessionErrors + ' recent errors · ' + cost(sessionCost), width, C.cyan))
+    if (session.project) lines.push(fit('Project ' + session.project, width, C.dim))
+
+    // Agent tree
+    lines.push('')
+    lines.push(fit('Agents', width, C.bold))
+    var tree = agentTree(agents)
+    for (var n = 0; n < tree.length; n++) {
+      var ag = tree[n].agent
+      var mark = ag.status === 'active' ? C.green + '●' + C.reset : C.dim + '○' + C.reset
+      var kind = ag.type === 'main' ? 'main' : ag.subagentType || 'subagent'
+      lines.push(' ' + '  '.repeat(tree[n].depth) + mark + ' ' + fit(ag.name + ' [' + kind + ']' + (ag.model ? ' ' + ag.model : '') + ' · ' +
+        ag.toolCallCount + ' calls · ' + cost(ag.cost), width - 4 - tree[n].depth * 2))
+    }
+
+    // Executing tools
+    var running = []
+    for (var r = 0; r < agents.length; r++) {
+      for (var q = 0; q < agents[r].toolCalls.length; q++) {
+        var tc = agents[r].toolCalls[q]
+        if (tc.status === 'executing') running.push({ agent: agents[r].name, tc: tc })
+      }
+    }
+    lines.push('')
+    lines.push(fit('Executing (' + running.length + ')', width, C.bold))
+    for (var x = 0; x < running.length; x++) {
+      lines.push(' ' + C.yellow + '▶' + C.reset + ' ' + fit(running[x].tc.tool + ' ' + (running[x].tc.inputSummary || '') +
+        ' · ' + running[x].agent + ' · ' + elapsed(running[x].tc.startedAt), width - 3))
+    }
+
+    // Rolling event feed fills the rest of the screen
+    lines.push('')
+    lines.push(fit('Events', width, C.bold))
+    var room = height - lines.length - 1
+    var feed = (st.timeline || []).filter(function (e) { return agentNames[e.agentId] !== undefined }).slice(-Math.max(0, room))
+    for (var f = 0; f < feed.length; f++) {
+      var e = feed[f]
+      var isErr = e.data && (e.data.isError || e.type === 'policy_block')
+      lines.push(fit(clock(e.timestamp) + ' ' + fit(agentNames[e.agentId], 14) + ' ' + fit(e.type, 14) + ' ' + timelineDetail(e), width, isErr ? C.red : null))
+    }
+  }
+
+  while (lines.length < height - 1) lines.push('')
+  lines.length = height - 1
+  lines.push(fit('←/→ switch session · q quit' + (view.notice ? ' · ' + view.notice : ''), width, C.dim))
+  process.stdout.write(ESC + 'H' + lines.map(function (l) { return l + ESC + 'K' }).join('\n'))
+}
+
+async function cmdWatch() {
+  if (!process.stdout.isTTY || !process.stdin.isTTY) {
+    console.error('watch needs an interactive terminal.')
+    process.exit(1)
+  }
+  var WebSocket = loadWs()
+  if (!WebSocket) {
+    console.error('The ws package is not installed. Run: node kmoni-ctl.cjs install')
+    process.exit(1)
+  }
+
+  var view = { state: null, selected: null, status: 'connecting', notice: '' }
+  var renderTimer = null
+  function scheduleRender() {
+    if (renderTimer) return
+    renderTimer = setTimeout(function () { renderTimer = null; renderWatch(view) }, 100)
+  }
+
+  function quit(code, message) {
+    process.stdout.write(C.reset + ESC + '?25h' + ESC + '?1049l')
+    try { process.stdin.setRawMode(false) } catch (_) {}
+    if (message) console.error(message)
+    process.exit(code)
+  }
+
+  function connect() {
+    var ws = new WebSocket('ws://' + HOST + ':' + PORT + '/?protocol=1', { headers: authHeaders() })
+    ws.on('open', function () { view.status = 'live'; scheduleRender() })
+    ws.on('message', function (data) {
+      var msg
+      try { msg = JSON.parse(data) } catch (_) { return }
+      if (msg.state) view.state = msg.state
+      if (msg.type === 'budget_warning' || msg.type === 'budget_exceeded') {
+        view.notice = (msg.type === 'budget_exceeded' ? 'budget exceeded: ' : 'budget warning: ') + (msg.budget && msg.budget.label || '')
+      }
+      scheduleRender()
+    })
+    ws.on('close', function (code) {
+      if (code === 4401) quit(1, 'Worker requires a token. Set MONIKHAO_TOKEN (see: node kmoni-ctl.cjs token).')
+      view.status = 'disconnected, retrying'
+      scheduleRender()
+      setTimeout(connect, 2000)
+    })
+    ws.on('error', function () {}) // close follows
+  }
+
+  process.stdout.write(ESC + '?1049h' + ESC + '?25l' + ESC + '2J')
+  process.stdin.setRawMode(true)
+  process.stdin.resume()
+  process.stdin.on('data', function (key) {
+    key = String(key)
+    if (key === 'q' || key === '\u0003') return quit(0)
+    var sessions = view.state ? view.state.sessions || [] : []
+    if (!sessions.length) return
+    var idx = Math.max(0, sessions.findIndex(function (s) { return s.id === view.selected }))
+    if (key === ESC + 'C' || key === 'l' || key === '\t') idx = (idx + 1) % sessions.length
+    else if (key === ESC + 'D' || key === 'h' || key === ESC + 'Z') idx = (idx - 1 + sessions.length) % sessions.length
+    else return
+    view.selected = sessions[idx].id
+    renderWatch(view)
+  })
+  process.stdout.on('resize', function () { renderWatch(view) })
+  process.on('SIGTERM', function () { quit(0) })
+  // Refresh elapsed times between updates
+  setInterval(scheduleRender, 1000)
+
+  renderWatch(view)
+  connect()
+}
+
+// ── Tail / History / Export ────────────────────────────────────────────────────
+// Scriptable views of the worker: each takes --json for machine-readable
+// output and exits 1 (message on stderr) when the worker can't be reached.
+
+// --key=value, --key value (keys in `valueFlags`) and bare --flag; the rest are positional
+function parseArgs(argv, valueFlags) {
+  var out = { _: [] }
+  for (var i = 0; i < argv.length; i++) {
+    var a = argv[i]
+    if (a.slice(0, 2) !== '--') { out._.push(a); continue }
+    var eq = a.indexOf('=')
+    if (eq !== -1) out[a.slice(2, eq)] = a.slice(eq + 1)
+    else if (valueFlags.indexOf(a.slice(2)) !== -1 && i + 1 < argv.length) out[a.slice(2)] = argv[++i]
+    else out[a.slice(2)] = true
+  }
+  return out
+}
+
+function fail(message) {
+  console.error(message)
+  process.exit(1)
+}
+
+function notRunning() { fail('Monikhao worker is not running.') }
+
+// One-line description of an event's payload
+function eventSummary(e) {
+  var input = e.tool_input || {}
+  var text = ''
+  if (e.phase === 'pre') text = input.file_path || input.command || input.pattern || input.description || input.query || input.url || (e.tool_input ? JSON.stringify(e.tool_input) : '')
+  else if (e.phase === 'post') text = e.isError ? 'error' : 'ok'
+  else if (e.phase === 'policy_block') text = e.reason || ''
+  else if (e.phase === 'user_prompt') text = e.prompt || 'turn ' + (e.turnIndex || '?')
+  else if (e.phase === 'turn_end') text = e.turn ? 'turn ' + e.turn.index + ' · ' + (formatDuration(e.turn.duration) || '0s') + ' · ' + e.turn.toolCalls + ' tool calls' : 'turn ended'
+  else if (e.phase === 'compact') text = (e.trigger || 'context') + ' compaction' + compactionSizes(e.compaction || {})
+  else if (e.phase === 'session_end') text = e.reason || ''
+  else if (e.phase === 'annotation') text = e.kind + ': ' + (e.kind === 'progress' ? Math.round(e.ratio * 100) + '%' + (e.note ? ' ' + e.note : '') : e.goal || e.label)
+  else text = e.message || e.model || ''
+  text = String(text).replace(/\s+/g, ' ').trim()
+  return text.length > 200 ? text.slice(0, 199) + '…' : text
+}
+
+// " 165k → 20k" for a compaction record (after is unknown until the next message)
+function compactionSizes(c) {
+  if (c.before == null) return ''
+  return ' ' + Math.round(c.before / 1000) + 'k → ' + (c.after == null ? '?' : Math.round(c.after / 1000) + 'k')
+}
+
+function formatDuration(ms) {
+  if (!ms || ms < 0) return ''
+  var s = Math.round(ms / 1000)
+  if (s < 60) return s + 's'
+  if (s < 3600) return Math.floor(s / 60) + 'm' + (s % 60) + 's'
+  return Math.floor(s / 3600) + 'h' + Math.floor((s % 3600) / 60) + 'm'
+}
+
+function printTable(rows) {
+  var widths = rows[0].map(function (_, c) { return Math.max.apply(null, rows.map(function (r) { return String(r[c]).length })) })
+  for (var i = 0; i < rows.length; i++) {
+    console.log(rows[i].map(function (v, c) { return c === rows[i].length - 1 ? String(v) : String(v) + ' '.repeat(widths[c] - String(v).length) }).join('  '))
+  }
+}
+
+async function cmdTail() {
+  var args = parseArgs(process.argv.slice(3), ['source', 'session', 'tool', 'type', 'since'])
+  if (!(await isHealthy())) notRunning()
+  process.stdout.on('error', function () { process.exit(0) }) // e.g. piped into head
+
+  var since = typeof args.since === 'string' ? args.since : null
+  var retrying = false
+  function retry() {
+    if (retrying) return
+    retrying = true
+    setTimeout(function () { retrying = false; connect() }, 2000)
+  }
+
+  // Follow the NDJSON stream; after a disconnect, resume from the last seq seen
+  // (or, if none came, from the seq the worker was at when we connected)
+  function connect() {
+    var query = []
+    ;['source', 'session', 'tool', 'type'].forEach(function (k) {
+      if (typeof args[k] === 'string') query.push(k + '=' + encodeURIComponent(args[k]))
+    })
+    if (since !== null) query.push('since=' + encodeURIComponent(since))
+    var path = '/api/stream.ndjson' + (query.length ? '?' + query.join('&') : '')
+    var req = http.request({ hostname: HOST, port: PORT, path: path, method: 'GET', headers: authHeaders() }, function (resp) {
+      resp.setEncoding('utf8')
+      if (resp.statusCode >= 500) { resp.resume(); return retry() } // Worker starting up or shutting down
+      if (resp.statusCode !== 200) {
+        var err = ''
+        resp.on('data', function (c) { err += c })
+        resp.on('end', function () { fail('tail failed (HTTP ' + resp.statusCode + '): ' + err) })
+        return
+      }
+      var seq = parseInt(resp.headers['x-monikhao-seq'])
+      if (since === null && seq >= 0) since = seq
+      var buf = ''
+      resp.on('data', function (chunk) {
+        buf += chunk
+        var nl
+        while ((nl = buf.indexOf('\n')) !== -1) {
+          var line = buf.slice(0, nl)
+          buf = buf.slice(nl + 1)
+          if (!line) continue
+          var ev
+          try { ev = JSON.parse(line) } catch (_) { continue }
+          if (ev.seq) since = ev.seq
+          if (args.json) { console.log(line); continue }
+          console.log(clock(ev.timestamp) + ' ' + fit(ev.source || '?', 10) + ' ' + fit(ev.session_id || '?', 12) + ' ' +
+            fit(ev.phase || '?', 13) + ' ' + fit(ev.tool_name || '', 10) + ' ' + eventSummary(ev))
+        }
+      })
+      resp.on('error', function () {})
+      resp.on('close', retry) // Also when the worker dies mid-stream, which skips 'end'
+    })
+    req.on('error', retry)
+    req.end()
+  }
+  connect()
+}
+
+async function cmdHistory() {
+  var args = parseArgs(process.argv.slice(3), ['limit'])
+  var r = await httpReq('GET', '/api/history').catch(function () { return null })
+  if (!r) notRunning()
+  if (r.status !== 200) fail('Could not fetch history (HTTP ' + r.status + ').')
+  var list = JSON.parse(r.body)
+  if (args.limit) list = list.slice(0, parseInt(args.limit) || list.length)
+
+  if (args.json) { console.log(JSON.stringify(list, null, 2)); return }
+  if (!list.length) { console.log('No archived sessions.'); return }
+  var rows = [['SESSION', 'SOURCE', 'MODEL', 'STARTED', 'DURATION', 'TOOLS', 'ERRORS', 'AGENTS', 'COST']]
+  for (var i = 0; i < list.length; i++) {
+    var h = list[i]
+    var s = h.stats || {}
+    rows.push([h.id, h.source || '?', h.model || '?', h.startedAt ? new Date(h.startedAt).toLocaleString('en-CA', { hour12: false }).replace(',', '') : '?',
+      formatDuration(h.endedAt - h.startedAt), s.toolCalls || 0, s.errors || 0, h.agentCount || 0, cost(s.cost)])
+  }
+  printTable(rows)
+}
+
+// Session export built from the replay (events carry the worker's agent attribution)
+function sessionExport(replay) {
+  var entries = replay.entries || []
+  var keyframes = replay.keyframes || []
+  var agents = keyframes.length ? keyframes[keyframes.length - 1].agents : []
+  var names = {}
+  for (var i = 0; i < agents.length; i++) names[agents[i].id] = agents[i].name
+  return {
+    exportedAt: new Date().toISOString(),
+    session: replay.session,
+    stats: entries.length ? entries[entries.length - 1].stats : {},
+    agents: agents.map(function (a) {
+      return { id: a.id, name: a.name, type: a.type, subagentType: a.subagentType, model: a.model, status: a.status, toolCallCount: a.toolCallCount, cost: a.cost || 0 }
+    }),
+    events: entries.map(function (e) { return Object.assign({ agent: names[e.agentId] || null }, e.event) })
+  }
+}
+
+function exportCsv(data) {
+  var rows = [['Timestamp', 'Phase', 'Agent', 'Tool', 'Summary', 'Error']]
+  for (var i = 0; i < data.events.length; i++) {
+    var e = data.events[i]
+    rows.push([e.timestamp ? new Date(e.timestamp).toISOString() : '', e.phase || '', e.agent || '', e.tool_name || '', eventSummary(e), e.isError ? 'true' : ''])
+  }
+  return rows.map(function (r) { return r.map(function (v) { return '"' + String(v).replace(/"/g, '""') + '"' }).join(',') }).join('\n') + '\n'
+}
+
+function exportMarkdown(data) {
+  var cell = function (v) { return String(v == null ? '' : v).replace(/\|/g, '\\|') }
+  var s = data.session || {}
+  var st = data.stats || {}
+  var iso = function (ts) { return ts ? new Date(ts).toISOString() : '?' }
+  var md = ['# Monikhao session ' + s.id, '',
+    '- **Source:** ' + (s.source || '?'),
+    '- **Model:** ' + (s.model || '?'),
+    '- **Started:** ' + iso(s.startedAt),
+    '- **Ended:** ' + (s.endedAt ? iso(s.endedAt) : 'still active'),
+    '- **Tool calls:** ' + (st.toolCalls || 0) + ' · **Errors:** ' + (st.errors || 0) + ' · **Turns:** ' + (st.turns || 0),
+    '- **Tokens:** ' + (st.inputTokens || 0) + ' in, ' + (st.outputTokens || 0) + ' out, ' + (st.cacheReadTokens || 0) + ' cache read, ' +
+      (st.cacheWriteTokens || 0) + ' cache write · **Cost:** ' + cost(st.cost),
+    '', '## Agents', '', '| Agent | Type | Model | Tool calls | Status |', '|---|---|---|---|---|']
+  for (var i = 0; i < data.agents.length; i++) {
+    var a = data.agents[i]
+    md.push('| ' + [a.name, a.type === 'main' ? 'main' : a.subagentType || 'subagent', a.model || '', a.toolCallCount, a.status].map(cell).join(' | ') + ' |')
+  }
+  md.push('', '## Events', '', '| Time | Phase | Agent | Tool | Detail |', '|---|---|---|---|---|')
+  for (var j = 0; j < data.events.length; j++) {
+    var e = data.events[j]
+    md.push('| ' + [e.timestamp ? new Date(e.timestamp).toISOString().slice(11, 19) : '', e.phase, e.agent || '', e.tool_name || '', eventSummary(e)].map(cell).join(' | ') + ' |')
+  }
+  return md.join('\n') + '\n'
+}
+
+async function cmdExport() {
+  var args = parseArgs(process.argv.slice(3), ['format', 'out'])
+  var id = args._[0]
+  if (!id) fail('Usage: kmoni-ctl export <session> [--format json|csv|md] [--out <file>|-] [--json]')
+  var format = typeof args.format === 'string' ? args.format : 'json'
+  if (['json', 'csv', 'md'].indexOf(format) === -1) fail('Unknown format "' + format + '". Use json, csv or md.')
+
+  var r = await httpReq('GET', '/api/sessions/' + encodeURIComponent(id) + '/replay', 30000).catch(function () { return null })
+  if (!r) notRunning()
+  if (r.status === 404) fail('No events recorded for session ' + id + '.')
+  if (r.status !== 200) fail('Export failed (HTTP ' + r.status + ').')
+
+  var data = sessionExport(JSON.parse(r.body))
+  var body = format === 'csv' ? exportCsv(data) : format === 'md' ? exportMarkdown(data) : JSON.stringify(data, null, 2) + '\n'
+  var out = typeof args.out === 'string' ? args.out : 'monikhao-' + id.replace(/[^\w.-]/g, '_') + '.' + format
+  if (out === '-') { process.stdout.write(body); return }
+  try { writeFileSync(out, body) } catch (e) { fail('Could not write ' + out + ': ' + e.message) }
+
+  if (args.json) console.log(JSON.stringify({ session: id, format: format, file: resolve(out), events: data.events.length }))
+  else console.log('Exported ' + data.events.length + ' events from ' + id + ' to ' + resolve(out))
+}
+
+// ── Doctor ─────────────────────────────────────────────────────────────────────
+// Diagnoses a broken install: prints a PASS/FAIL/WARN/SKIP checklist with a
+// fix hint for every problem, and exits 1 if anything failed.
+
+function pidAlive(pid) {
+  try { process.kill(pid, 0); return true } catch (e) { return e.code === 'EPERM' }
+}
+
+// Resolves true if something is already bound to the worker port
+function portInUse() {
+  return new Promise(function (res) {
+    var srv = require('node:net').createServer()
+    srv.once('error', function (e) { res(e.code === 'EADDRINUSE') })
+    srv.once('listening', function () { srv.close(function () { res(false) }) })
+    srv.listen(PORT)
+  })
+}
+
+function sameFile(a, b) {
+  try { return readFileSync(a).equals(readFileSync(b)) } catch (_) { return false }
+}
+
+function readJson(file) {
+  try { return JSON.parse(readFileSync(file, 'utf8')) } catch (_) { return null }
+}
+
+// The OpenCode entry point's findRoot(), as seen from the plugins folder
+function openCodeRoot() {
+  var candidates = [
+    process.env.MONIKHAO_PATH,
+    join(OC_PLUGINS, 'Monikhao'),
+    join(OC_PLUGINS, '..', 'Monikhao'),
+  ]
+  for (var i = 0; i < candidates.length; i++) {
+    if (candidates[i] && existsSync(join(candidates[i], 'scripts', 'worker-service.cjs'))) return candidates[i]
+  }
+  return null
+}
+
+async function cmdDoctor() {
+  var results = []
+  function report(status, label, hint) { results.push({ status: status, label: label, hint: hint || null }) }
+  var fs = require('node:fs')
+
+  // ── Install ─────────────────────────────────────────────────────────────────
+  if (ROOT) report('pass', 'Monikhao root: ' + ROOT)
+  else report('fail', 'Monikhao root not found', 'Set MONIKHAO_ROOT to your Monikhao checkout')
+
+  if (ROOT) {
+    var missing = ['express', 'ws'].filter(function (m) { return !existsSync(join(ROOT, 'node_modules', m, 'package.json')) })
+    if (!missing.length) report('pass', 'Dependencies installed')
+    else report('fail', 'Missing node_modules: ' + missing.join(', '), 'Run: node scripts/kmoni-ctl.cjs install  (or npm install --production in ' + ROOT + ')')
+  }
+
+  // ── Worker ──────────────────────────────────────────────────────────────────
+  // Anything else answering 200 on the port isn't a Monikhao worker
+  var health = await httpReq('GET', '/api/health').catch(function () { return null })
+  var healthy = false
+  try { healthy = health.status === 200 && JSON.parse(health.body).status === 'ok' } catch (_) {}
+  if (healthy) {
+    report('pass', 'Worker responding on port ' + PORT)
+  } else if (health || await portInUse()) {
+    report('fail', 'Port ' + PORT + ' is taken by another process (not a Monikhao worker)',
+      'Find it with: lsof -i :' + PORT + '  — stop it, or set AGENT_MONITOR_PORT to a free port')
+  } else {
+    var lastErr = ''
+    try { lastErr = readFileSync(WORKER_LOG, 'utf8').trim().split('\n').pop() } catch (_) {}
+    report('warn', 'Worker not running (port ' + PORT + ' is free)',
+      'Start it with: node scripts/kmoni-ctl.cjs on' + (lastErr ? '\nLast line of ' + WORKER_LOG + ': ' + lastErr.slice(0, 200) : ''))
+  }
+
+  var pidInfo = existsSync(PID_FILE) ? readJson(PID_FILE) : null
+  if (!existsSync(PID_FILE)) {
+    report(healthy ? 'warn' : 'pass', healthy ? 'worker.pid missing while the worker runs' : 'No worker.pid left behind',
+      healthy ? 'kmoni-ctl off can\'t fall back to killing by PID; restart with kmoni-ctl off && kmoni-ctl on' : null)
+  } else if (!pidInfo || !pidInfo.pid) {
+    report('fail', 'worker.pid is unreadable', 'Delete ' + PID_FILE)
+  } else if (!pidAlive(pidInfo.pid)) {
+    report('fail', 'Stale worker.pid (PID ' + pidInfo.pid + ' is not running)', 'Delete ' + PID_FILE)
+  } else if (!healthy) {
+    report('fail', 'PID ' + pidInfo.pid + ' from worker.pid is alive but not answering on port ' + PORT,
+      'Stop it (kill ' + pidInfo.pid + '), then run: node scripts/kmoni-ctl.cjs on')
+  } else if (pidInfo.port && pidInfo.port !== PORT) {
+    report('warn', 'worker.pid records port ' + pidInfo.port + ' but this shell uses ' + PORT, 'Make AGENT_MONITOR_PORT the same everywhere')
+  } else {
+    report('pass', 'worker.pid matches the running worker (PID ' + pidInfo.pid + ')')
+  }
+
+  var lock = existsSync(LOCK_FILE) ? readJson(LOCK_FILE) : null
+  if (!existsSync(LOCK_FILE)) report('pass', 'No spawn.lock held')
+  else if (lock && Date.now() - lock.ts < 20000) report('pass', 'spawn.lock held by a worker spawn in progress')
+  else report('fail', 'Stale spawn.lock' + (lock ? ' (' + Math.round((Date.now() - lock.ts) / 1000) + 's old)' : ''),
+    'Delete ' + LOCK_FILE + ' (hooks ignore it after 20s, but a corrupt one blocks spawning)')
+
+  // ── Claude Code ─────────────────────────────────────────────────────────────
+  if (!existsSync(join(homedir(), '.claude'))) {
+    report('skip', 'Claude Code not installed (~/.claude missing)')
+  } else {
+    var cacheHooks = join(CC_CACHE, 'hooks', 'hooks.json')
+    if (!existsSync(cacheHooks)) report('fail', 'hooks/hooks.json not in the Claude Code plugin cache', 'Run: node scripts/kmoni-ctl.cjs install')
+    else if (ROOT && !sameFile(cacheHooks, join(ROOT, 'hooks', 'hooks.json'))) report('warn', 'Plugin cache hooks.json differs from ' + ROOT, 'Re-sync with: node scripts/kmoni-ctl.cjs install')
+    else report('pass', 'hooks.json present in ' + CC_CACHE)
+
+    var installed = readJson(join(CC_PLUGINS, 'installed_plugins.json'))
+    var entry = installed && installed.plugins && installed.plugins['monikhao@khaos']
+    if (!entry) report('fail', 'monikhao@khaos not registered in installed_plugins.json', 'Run: node scripts/kmoni-ctl.cjs install')
+    else if (!existsSync(entry[0] && entry[0].installPath || '')) report('fail', 'Registered installPath does not exist: ' + (entry[0] && entry[0].installPath), 'Run: node scripts/kmoni-ctl.cjs install')
+    else report('pass', 'monikhao@khaos registered')
+
+    var settings = readJson(join(homedir(), '.claude', 'settings.json'))
+    if (settings && settings.enabledPlugins && settings.enabledPlugins['monikhao@khaos']) report('pass', 'monikhao@khaos enabled in settings.json')
+    else report('fail', 'monikhao@khaos not enabled in ~/.claude/settings.json', 'Run: node scripts/kmoni-ctl.cjs install, then restart Claude Code')
+
+    if (existsSync(CC_CACHE) && !existsSync(join(CC_CACHE, 'node_modules', 'express', 'package.json'))) {
+      report('fail', 'Plugin cache has no node_modules', 'Run: npm install --production in ' + CC_CACHE)
+    }
+  }
+
+  // ── OpenCode ────────────────────────────────────────────────────────────────
+  if (!existsSync(join(homedir(), '.config', 'opencode'))) {
+    report('skip', 'OpenCode not installed (~/.config/opencode missing)')
+  } else {
+    var ocEntry = join(OC_PLUGINS, 'monikhao.js')
+    if (!existsSync(ocEntry)) report('fail', 'monikhao.js missing from ' + OC_PLUGINS, 'Run: node scripts/kmoni-ctl.cjs install')
+    else if (ROOT && !sameFile(ocEntry, join(ROOT, 'monikhao.js'))) report('warn', 'OpenCode monikhao.js differs from ' + ROOT, 'Re-sync with: node scripts/kmoni-ctl.cjs install')
+    else report('pass', 'monikhao.js present in OpenCode plugins')
+
+    var ocRoot = openCodeRoot()
+    if (ocRoot) report('pass', 'OpenCode findRoot() resolves to ' + fs.realpathSync(ocRoot))
+    else report('fail', 'OpenCode findRoot() cannot locate Monikhao (Monikhao/ link missing or broken)',
+      process.platform === 'win32' ? 'mklink /J "' + join(OC_PLUGINS, 'Monikhao') + '" "' + ROOT + '"' : 'ln -sfn "' + ROOT + '" "' + join(OC_PLUGINS, 'Monikhao') + '"')
+  }
+
+  // ── Hermes ──────────────────────────────────────────────────────────────────
+  if (!existsSync(join(homedir(), '.hermes'))) {
+    report('skip', 'Hermes Agent not installed (~/.hermes missing)')
+  } else {
+    var hermesHint = 'ln -sfn "' + join(ROOT || '/path/to/monikhao', 'integrations', 'hermes') + '" "' + HERMES_HOOK + '"'
+    var hookDir = null
+    try { hookDir = fs.realpathSync(HERMES_HOOK) } catch (_) {}
+    if (!hookDir || !existsSync(join(hookDir, 'handler.py'))) {
+      report('fail', 'Hermes hook missing or broken at ' + HERMES_HOOK, hermesHint)
+    } else if (!process.env.MONIKHAO_ROOT && !existsSync(join(hookDir, '..', '..', 'scripts', 'worker-service.cjs'))) {
+      report('fail', 'Hermes hook is a copy, so it cannot find the worker', 'Replace it with a symlink: ' + hermesHint + '  (or set MONIKHAO_ROOT)')
+    } else {
+      report('pass', 'Hermes hook resolves to ' + hookDir)
+    }
+  }
+
+  // ── Round trip ──────────────────────────────────────────────────────────────
+  if (!healthy) {
+    report('skip', 'Event round-trip (worker not running)')
+  } else {
+    // Dry run: authenticated and validated like a hook event, but not recorded
+    var started = Date.now()
+    try {
+      var post = await httpReq('POST', '/api/events?dryRun=1', 3000, { session_id: 'doctor-' + started, source: 'doctor', phase: 'session_start', timestamp: started })
+      if (post.status === 401 || post.status === 403) {
+        report('fail', 'Worker rejected the test event (HTTP ' + post.status + ')', 'The admin token in ' + AUTH_FILE + ' does not match the worker; restart the worker or set MONIKHAO_TOKEN')
+      } else if (post.status !== 200) {
+        report('fail', 'Worker rejected the test event (HTTP ' + post.status + '): ' + post.body.slice(0, 200), 'Check ' + WORKER_LOG)
+      } else if (!(post.json && post.json.dryRun)) {
+        report('warn', 'Worker accepted the test event but predates dry runs, so it was recorded', 'Restart the worker: node scripts/kmoni-ctl.cjs off && node scripts/kmoni-ctl.cjs on')
+      } else {
+        report('pass', 'Test event accepted by the worker (' + (Date.now() - started) + 'ms)')
+      }
+    } catch (e) {
+      report('fail', 'Test event failed: ' + e.message, 'Check ' + WORKER_LOG)
+    }
+  }
+
+  // ── Report ──────────────────────────────────────────────────────────────────
+  console.log('Monikhao doctor (port ' + PORT + ')')
+  console.log('')
+  var counts = { pass: 0, fail: 0, warn: 0, skip: 0 }
+  for (var i = 0; i < results.length; i++) {
+    var r = results[i]
+    counts[r.status]++
+    console.log('[' + r.status.toUpperCase() + '] ' + r.label)
+    if (r.hint && r.status !== 'pass') {
+      var hintLines = r.hint.split('\n')
+      for (var h = 0; h < hintLines.length; h++) console.log('       ' + (h === 0 ? 'fix: ' : '     ') + hintLines[h])
+    }
+  }
+  console.log('')
+  console.log(counts.pass + ' passed, ' + counts.fail + ' failed, ' + counts.warn + ' warning(s), ' + counts.skip + ' skipped')
+  if (counts.fail) process.exit(1)
+}
+
+// ── Uninstall / Upgrade ────────────────────────────────────────────────────────
+
+var OC_COMMANDS = ['kmoni-on', 'kmoni-off', 'kmoni-install', 'kmoni-status'] // Written by monikhao.js ensureCommands()
+
+function isSymlink(p) {
+  try { return lstatSync(p).isSymbolicLink() } catch (_) { return false }
+}
+
+function readVersion(dir) {
+  try { return JSON.parse(readFileSync(join(dir, 'package.json'), 'utf8')).version || '?' } catch (_) { return null }
+}
+
+// Resolves true once the worker stops answering, false if it is still up after 5s
+async function waitForShutdown() {
+  for (var i = 0; i < 20; i++) {
+    await sleep(250)
+    if (!(await isHealthy())) return true
+  }
+  return false
+}
+
+// Shut the worker down (it snapshots state on the way out) and wait until the port is free.
+// If it ignores the request (e.g. a token mismatch), kill the PID it was started with.
+// Resolves false when a worker is still running afterwards.
+async function stopWorker() {
+  if (!(await isHealthy())) return true
+  try { await httpReq('POST', '/api/admin/shutdown') } catch (_) {}
+  if (await waitForShutdown()) return true
+  var info = readJson(PID_FILE)
+  if (!info || !info.pid) return false
+  try { process.kill(info.pid) } catch (_) { return false }
+  return waitForShutdown()
+}
+
+async function cmdUninstall() {
+  var args = parseArgs(process.argv.slice(3), [])
+  var dry = !!args['dry-run']
+  var removed = []
+  var notes = []
+  function remove(p, label) {
+    if (!existsSync(p) && !isSymlink(p)) return
+    removed.push(label || p)
+    if (!dry) rmSync(p, { recursive: true, force: true })
+  }
+  function editJson(file, label, fn) {
+    var data
+    try { data = JSON.parse(readFileSync(file, 'utf8')) } catch (_) { return }
+    if (!fn(data)) return
+    removed.push(label)
+    if (!dry) writeFileSync(file, JSON.stringify(data, null, 2))
+  }
+
+  if (!dry && await isHealthy()) {
+    if (!(await stopWorker())) fail('Could not stop the worker on port ' + PORT + '; nothing was removed. Stop it and run uninstall again.')
+    console.log('Stopped the running worker.')
+  }
+
+  // Claude Code: registration, enablement and the cached copy
+  editJson(join(CC_PLUGINS, 'installed_plugins.json'), 'monikhao@khaos from installed_plugins.json', function (d) {
+    if (!d.plugins || !d.plugins['monikhao@khaos']) return false
+    delete d.plugins['monikhao@khaos']
+    return true
+  })
+  editJson(join(homedir(), '.claude', 'settings.json'), 'monikhao@khaos from settings.json enabledPlugins', function (d) {
+    if (!d.enabledPlugins || !('monikhao@khaos' in d.enabledPlugins)) return false
+    delete d.enabledPlugins['monikhao@khaos']
+    return true
+  })
+  remove(dirname(CC_CACHE), 'Claude Code plugin cache ' + dirname(CC_CACHE))
+  try { if (!dry && !readdirSync(dirname(dirname(CC_CACHE))).length) rmSync(dirname(dirname(CC_CACHE)), { recursive: true }) } catch (_) {}
+
+  // OpenCode: entry point, command files and the Monikhao/ link (never a real folder — it may be the checkout)
+  remove(join(OC_PLUGINS, 'monikhao.js'))
+  for (var i = 0; i < OC_COMMANDS.length; i++) remove(join(homedir(), '.config', 'opencode', 'commands', OC_COMMANDS[i] + '.md'))
+  var ocLink = join(OC_PLUGINS, 'Monikhao')
+  if (isSymlink(ocLink)) remove(ocLink, ocLink + ' (link)')
+  else if (existsSync(ocLink)) notes.push(ocLink + ' is a real folder, not a link; delete it yourself if it is not your checkout.')
+
+  // Hermes: same rule for the hook link
+  if (isSymlink(HERMES_HOOK)) remove(HERMES_HOOK, HERMES_HOOK + ' (link)')
+  else if (existsSync(HERMES_HOOK)) notes.push(HERMES_HOOK + ' is a copied hook folder; delete it to stop Hermes reporting to Monikhao.')
+
+  if (args.purge) remove(DATA_DIR, DATA_DIR + ' (history, event log, tokens)')
+  else if (existsSync(DATA_DIR)) notes.push('Kept ' + DATA_DIR + ' (history, event log, tokens). Re-run with --purge to delete it.')
+
+  console.log(dry ? 'Would remove:' : removed.length ? 'Removed:' : 'Nothing to remove; Monikhao is not installed for this user.')
+  for (var r = 0; r < removed.length; r++) console.log('  - ' + removed[r])
+  for (var n = 0; n < notes.length; n++) console.log('Note: ' + notes[n])
+  if (!dry && removed.length) console.log('Restart Claude Code / OpenCode to unload the plugin. The checkout at ' + (ROOT || '?') + ' was left in place.')
+}
+
+async function cmdUpgrade() {
+  if (!ROOT) fail('Monikhao folder not found.')
+  var args = parseArgs(process.argv.slice(3), [])
+  var repoVersion = readVersion(ROOT)
+  var changed = false
+
+  // Claude Code plugin cache
+  if (!existsSync(CC_CACHE)) {
+    console.log('Claude Code plugin cache not found; run install first to set it up.')
+  } else {
+    var files = claudeCacheFiles()
+    var drift = files.filter(function (f) {
+      try { return !readFileSync(join(ROOT, f)).equals(readFileSync(join(CC_CACHE, f))) } catch (_) { return true }
+    })
+    var cacheVersion = readVersion(CC_CACHE)
+    if (!drift.length && !args.force) {
+      console.log('Claude Code plugin cache is up to date (' + repoVersion + ').')
+    } else {
+      console.log('Claude Code plugin cache: ' + (cacheVersion || 'unknown') + ' -> ' + repoVersion + ' (' + drift.length + ' file' + (drift.length !== 1 ? 's' : '') + ' changed)')
+      var oldDeps = null
+      try { oldDeps = JSON.stringify(JSON.parse(readFileSync(join(CC_CACHE, 'package.json'), 'utf8')).dependencies) } catch (_) {}
+      var result = syncClaudeCache(true)
+      console.log('  Copied ' + result.copied + ' files' + (result.removed ? ', removed ' + result.removed + ' obsolete' : '') + '.')
+      var newDeps = JSON.stringify(JSON.parse(readFileSync(join(ROOT, 'package.json'), 'utf8')).dependencies)
+      if (oldDeps !== newDeps || !existsSync(join(CC_CACHE, 'node_modules', 'express', 'package.json'))) {
+        console.log('  Dependencies changed; reinstalling in plugin cache...')
+        if (!installDeps(CC_CACHE)) console.error('  Failed to install dependencies in ' + CC_CACHE)
+      }
+      var ipFile = join(CC_PLUGINS, 'installed_plugins.json')
+      try {
+        var ipData = JSON.parse(readFileSync(ipFile, 'utf8'))
+        var entry = ipData.plugins && ipData.plugins['monikhao@khaos'] && ipData.plugins['monikhao@khaos'][0]
+        if (entry) { entry.lastUpdated = new Date().toISOString(); writeFileSync(ipFile, JSON.stringify(ipData, null, 2)) }
+      } catch (_) {}
+      changed = true
+    }
+  }
+
+  // OpenCode entry point (a copy; the rest is reached through the Monikhao/ link)
+  var ocEntry = join(OC_PLUGINS, 'monikhao.js')
+  if (existsSync(ocEntry)) {
+    var same = false
+    try { same = readFileSync(ocEntry).equals(readFileSync(join(ROOT, 'monikhao.js'))) } catch (_) {}
+    if (same && !args.force) {
+      console.log('OpenCode monikhao.js is up to date.')
+    } else {
+      writeFileSync(ocEntry, readFileSync(join(ROOT, 'monikhao.js')))
+      console.log('Updated OpenCode monikhao.js.')
+      changed = true
+    }
+  }
+
+  // Restart a running worker so it picks up the new code
+  if (await isHealthy()) {
+    if (!changed && !args.force) {
+      console.log('Worker left running (nothing changed).')
+      return
+    }
+    console.log('Restarting worker...')
+    if (!(await stopWorker())) fail('Could not stop the worker on port ' + PORT + '; it keeps running the old code until it is restarted.')
+    await cmdOn()
+  }
+}
+
 // ── Main ────────────────────────────────────────────────────────────────────────
 
 var cmd = process.argv[2]
@@ -416,7 +1211,15 @@ switch (cmd) {
   case 'off':     cmdOff(); break
   case 'status':  cmdStatus(); break
   case 'install': cmdInstall(); break
+  case 'token':   cmdToken(); break
+  case 'watch':   cmdWatch(); break
+  case 'tail':    cmdTail(); break
+  case 'history': cmdHistory(); break
+  case 'export':  cmdExport(); break
+  case 'doctor':  cmdDoctor(); break
+  case 'uninstall': cmdUninstall(); break
+  case 'upgrade': cmdUpgrade(); break
   default:
-    console.log('Usage: kmoni-ctl [on|off|status|install]')
+    console.log('Usage: kmoni-ctl [on|off|status|install|uninstall|upgrade|token|watch|tail|history|export|doctor]')
     process.exit(cmd ? 1 : 0)
 }
@@ -1,14 +1,28 @@
 /**
  * mcp-server.js - Lightweight MCP stdio server for Monikhao.
- * Provides tools for Claude to query dashboard status and update config.
+ * Provides tools for Claude to query dashboard status and update config, and
+ * to query recorded sessions (timelines, file activity, costs, errors). The
+ * same data is exposed as resources under monikhao://.
  */
 import { createInterface } from 'readline';
-import { request } from 'http';
+import { createRequire } from 'module';
 
-const PORT = 37800;
+// Port and the admin token (auth.json, MONIKHAO_TOKEN) are handled by the shared client
+const client = createRequire(import.meta.url)('./client.cjs');
+const { PORT } = client;
 
 const rl = createInterface({ input: process.stdin, terminal: false });
 
+const SESSION_ID = {
+  type: 'string',
+  description: 'Session id, or "current" (the active session) / "previous" (the most recent one that has ended). Defaults to "current".'
+};
+
+const ANNOTATE_SESSION_ID = {
+  type: 'string',
+  description: 'Session to annotate. Defaults to the active session in this project; required when several are active'
+};
+
 const TOOLS = [
   {
     name: 'monikhao_status',
@@ -37,9 +51,143 @@ const TOOLS = [
       },
       required: ['action']
     }
+  },
+  {
+    name: 'monikhao_list_sessions',
+    description: 'List recorded sessions (live and archived), newest first, with source, model, tool calls, errors and cost',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', description: 'Only sessions with this status', enum: ['active', 'ended', 'archived', 'all'] },
+        source: { type: 'string', description: 'Only sessions from this platform (claudecode, opencode, hermes)' },
+        limit: { type: 'number', description: 'Maximum sessions to return (default 20)' }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'monikhao_get_session_timeline',
+    description: 'Chronological tool calls, failures, subagents and responses of one session',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session_id: SESSION_ID,
+        limit: { type: 'number', description: 'Return only the last N timeline lines (default 100)' }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'monikhao_search_events',
+    description: 'Full-text search over every logged event (tool inputs, outputs, messages), newest first',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Case-insensitive text to look for, e.g. a file name, command or error message' },
+        session_id: { type: 'string', description: 'Only events from this session' },
+        tool: { type: 'string', description: 'Only events for this tool, e.g. Bash' },
+        phase: { type: 'string', description: 'Only events of this phase, e.g. pre, post, session_start' },
+        source: { type: 'string', description: 'Only events from this platform' },
+        limit: { type: 'number', description: 'Maximum events to return (default 20)' }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'monikhao_get_file_activity',
+    description: 'Files a session read, wrote and edited, with line counts, modified files first',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session_id: SESSION_ID,
+        path: { type: 'string', description: 'Only files whose path contains this text' }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'monikhao_get_cost_report',
+    description: 'Token usage and cost across recorded sessions, grouped by session, model, source, project or day',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        group_by: { type: 'string', enum: ['session', 'model', 'source', 'project', 'day'], description: 'Grouping (default model)' },
+        days: { type: 'number', description: 'Only sessions started in the last N days' }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'monikhao_get_errors',
+    description: 'Failed tool calls and policy blocks of one session, with the input that failed and its output',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session_id: SESSION_ID,
+        limit: { type: 'number', description: 'Return only the last N errors (default 20)' }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'monikhao_set_goal',
+    description: 'Tell the dashboard what you are working towards. Call at the start of a larger task; the goal is shown on your orb and in the session history',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        goal: { type: 'string', description: 'One-line description of the task' },
+        steps: { type: 'array', items: { type: 'string' }, description: 'Planned steps, in order' },
+        session_id: ANNOTATE_SESSION_ID
+      },
+      required: ['goal']
+    }
+  },
+  {
+    name: 'monikhao_mark_milestone',
+    description: 'Record a milestone reached (e.g. "tests passing", "refactor done"). Shown as a labelled marker on the dashboard timeline',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        label: { type: 'string', description: 'Short label (a few words)' },
+        detail: { type: 'string', description: 'Optional longer description' },
+        session_id: ANNOTATE_SESSION_ID
+      },
+      required: ['label']
+    }
+  },
+  {
+    name: 'monikhao_report_progress',
+    description: 'Report progress towards the current goal, as a percentage or completed/total steps. Drawn as a progress ring around your orb',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        percent: { type: 'number', description: 'Progress 0-100' },
+        completed: { type: 'number', description: 'Steps completed (with total, instead of percent)' },
+        total: { type: 'number', description: 'Total steps' },
+        note: { type: 'string', description: 'What is happening now' },
+        session_id: ANNOTATE_SESSION_ID
+      },
+      required: []
+    }
+  }
+];
+
+const ANNOTATION_TOOLS = { monikhao_set_goal: 'goal', monikhao_mark_milestone: 'milestone', monikhao_report_progress: 'progress' };
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'monikhao://session/{id}',
+    name: 'Session digest',
+    description: 'Summary, stats, agents, file activity, errors and recent timeline of a session ("current" and "previous" work as ids)',
+    mimeType: 'application/json'
   }
 ];
 
+const STATIC_RESOURCES = [
+  { uri: 'monikhao://sessions', name: 'Sessions', description: 'All recorded sessions with stats, newest first', mimeType: 'application/json' },
+  { uri: 'monikhao://cost-report', name: 'Cost report', description: 'Token usage and cost by model, source, project and day', mimeType: 'application/json' }
+];
+
 function respond(id, result) {
   const msg = JSON.stringify({ jsonrpc: '2.0', id, result });
   process.stdout.write(msg + '\n');
@@ -50,56 +198,193 @@ function respondError(id, code, message) {
   process.stdout.write(msg + '\n');
 }
 
-function httpGet(path) {
-  return new Promise((resolve, reject) => {
-    const req = request({
-      hostname: '127.0.0.1', port: PORT, path, method: 'GET', timeout: 3000
-    }, res => {
-      let body = '';
-      res.on('data', c => body += c);
-      res.on('end', () => {
-        try { resolve(JSON.parse(body)); } catch { resolve(body); }
-      });
-    });
-    req.on('error', reject);
-    req.on('timeout', () => { req.destroy(); reject(new Error('timeout')); });
-    req.end();
-  });
-}
-
-function httpPost(path, data) {
-  return new Promise((resolve, reject) => {
-    const payload = JSON.stringify(data);
-    const req = request({
-      hostname: '127.0.0.1', port: PORT, path, method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
-      timeout: 3000
-    }, res => {
-      let body = '';
-      res.on('data', c => body += c);
-      res.on('end', () => {
-        try { resolve(JSON.parse(body)); } catch { resolve(body); }
-      });
-    });
-    req.on('error', reject);
-    req.on('timeout', () => { req.destroy(); reject(new Error('timeout')); });
-    req.write(payload);
-    req.end();
-  });
+function text(id, lines) {
+  return respond(id, { content: [{ type: 'text', text: Array.isArray(lines) ? lines.join('\n') : lines }] });
+}
+
+async function httpGet(path, timeout = 3000) {
+  const res = await client.request('GET', path, null, timeout);
+  const data = res.json ?? res.body;
+  if (res.status >= 400) throw new Error(data?.error || `HTTP ${res.status}`);
+  return data;
+}
+
+async function httpPost(path, data) {
+  const res = await client.request('POST', path, data);
+  return res.json ?? res.body;
+}
+
+// ─── Session queries ──────────────────────────────────────────────────────────
+
+const FILE_TOOLS = { Read: 'reads', Write: 'writes', Edit: 'edits', MultiEdit: 'edits', NotebookEdit: 'edits' };
+
+function fmtTime(ts) { return ts ? new Date(ts).toISOString().replace('T', ' ').slice(0, 19) : '?'; }
+function fmtCost(v) { return `$${(v || 0).toFixed(2)}`; }
+function countLines(str) { return str ? (String(str).match(/\n/g) || []).length + 1 : 0; }
+
+function clip(value, max) {
+  if (value == null) return '';
+  const str = (typeof value === 'string' ? value : JSON.stringify(value)).replace(/\s+/g, ' ').trim();
+  return str.length > max ? str.slice(0, max) + '...' : str;
+}
+
+function describeInput(input) {
+  if (!input) return '';
+  return clip(input.file_path || input.command || input.pattern || input.description || input.query || input.url || input, 160);
+}
+
+function describeOutput(response) {
+  if (response && typeof response === 'object' && response.content) {
+    return clip(Array.isArray(response.content) ? response.content.map(c => c.text || '').join(' ') : response.content, 300);
+  }
+  return clip(response, 300);
+}
+
+// Sessions newest first (by start time)
+async function fetchSessions() {
+  const list = await httpGet('/api/sessions');
+  return list.sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0));
+}
+
+async function resolveSessionId(id) {
+  if (id && id !== 'current' && id !== 'previous') return id;
+  const list = await fetchSessions();
+  const pick = id === 'previous'
+    ? list.filter(s => s.status !== 'active').sort((a, b) => (b.endedAt || b.startedAt || 0) - (a.endedAt || a.startedAt || 0))[0]
+    : list.find(s => s.status === 'active') || list[0];
+  if (!pick) throw new Error(id === 'previous' ? 'No ended session recorded yet' : 'No sessions recorded yet');
+  return pick.id;
+}
+
+// Replay frames with each event tagged by its agent's name
+async function fetchReplay(sessionId) {
+  const replay = await httpGet(`/api/sessions/${encodeURIComponent(sessionId)}/replay`, 15000);
+  const agents = replay.keyframes?.length ? replay.keyframes[replay.keyframes.length - 1].agents : [];
+  const names = new Map(agents.map(a => [a.id, a.name]));
+  const entries = replay.entries || [];
+  return {
+    session: replay.session,
+    stats: entries.length ? entries[entries.length - 1].stats : {},
+    agents,
+    events: entries.map(e => ({ ...e.event, agent: names.get(e.agentId) || null }))
+  };
+}
+
+function timelineLines(events) {
+  const lines = [];
+  for (const e of events) {
+    const who = e.agent ? `${e.agent}: ` : '';
+    const at = fmtTime(e.timestamp).slice(11);
+    switch (e.phase) {
+      case 'pre': lines.push(`${at} ${who}${e.tool_name} ${describeInput(e.tool_input)}`); break;
+      case 'post': if (e.isError) lines.push(`${at} ${who}${e.tool_name} FAILED: ${describeOutput(e.tool_response)}`); break;
+      case 'policy_block': lines.push(`${at} ${who}${e.tool_name} BLOCKED by policy: ${e.reason || ''}`); break;
+      case 'notification': if (e.message) lines.push(`${at} ${who}said: ${clip(e.message, 200)}`); break;
+      case 'session_start': lines.push(`${at} session started${e.model ? ` (${e.model})` : ''}`); break;
+      case 'session_end': lines.push(`${at} session ended${e.reason ? ` (${e.reason})` : ''}`); break;
+      case 'user_prompt': lines.push(`${at} user prompt${e.turnIndex ? ` (turn ${e.turnIndex})` : ''}${e.prompt ? `: ${clip(e.prompt, 200)}` : ''}`); break;
+      case 'turn_end': if (e.turn) lines.push(`${at} turn ${e.turn.index} done: ${Math.round(e.turn.duration / 1000)}s, ${e.turn.toolCalls} tool calls`); break;
+      case 'compact': {
+        const c = e.compaction || {};
+        lines.push(`${at} context compacted${e.trigger ? ` (${e.trigger})` : ''}${c.before != null ? `: ${c.before} → ${c.after ?? '?'} tokens` : ''}`);
+        break;
+      }
+      case 'subagent_stop': lines.push(`${at} ${who}subagent finished`); break;
+      case 'annotation':
+        if (e.kind === 'goal') lines.push(`${at} ${who}goal: ${e.goal}`);
+        else if (e.kind === 'milestone') lines.push(`${at} ${who}milestone: ${e.label}${e.detail ? ` (${clip(e.detail, 120)})` : ''}`);
+        else if (e.kind === 'progress') lines.push(`${at} ${who}progress ${Math.round(e.ratio * 100)}%${e.note ? `: ${e.note}` : ''}`);
+        break;
+    }
+  }
+  return lines;
+}
+
+function sessionErrors(events) {
+  const inputs = new Map();
+  const errors = [];
+  for (const e of events) {
+    if (e.phase === 'pre' && e.toolCallId) inputs.set(e.toolCallId, e.tool_input);
+    if (e.phase === 'post' && e.isError) {
+      errors.push({ timestamp: e.timestamp, agent: e.agent, tool: e.tool_name, input: describeInput(inputs.get(e.toolCallId) || e.tool_input), output: describeOutput(e.tool_response) });
+    } else if (e.phase === 'policy_block') {
+      errors.push({ timestamp: e.timestamp, agent: e.agent, tool: e.tool_name, input: describeInput(e.tool_input), output: `Blocked by policy: ${e.reason || e.rule || ''}` });
+    }
+  }
+  return errors;
+}
+
+function fileActivity(events, filter) {
+  const files = new Map();
+  for (const e of events) {
+    const kind = FILE_TOOLS[e.tool_name];
+    const path = e.tool_input?.file_path || e.tool_input?.notebook_path;
+    if (e.phase !== 'pre' || !kind || !path) continue;
+    if (filter && !path.includes(filter)) continue;
+    let f = files.get(path);
+    if (!f) files.set(path, f = { path, reads: 0, writes: 0, edits: 0, linesAdded: 0, linesRemoved: 0, firstAt: e.timestamp, lastAt: e.timestamp });
+    f[kind]++;
+    f.lastAt = e.timestamp;
+    if (e.tool_name === 'Write') f.linesAdded += countLines(e.tool_input.content);
+    const edits = e.tool_name === 'MultiEdit' ? e.tool_input.edits || [] : e.tool_name === 'Edit' ? [e.tool_input] : [];
+    for (const edit of edits) {
+      const delta = countLines(edit.new_string) - countLines(edit.old_string);
+      if (delta > 0) f.linesAdded += delta; else f.linesRemoved -= delta;
+    }
+  }
+  return [...files.values()].sort((a, b) => (b.writes + b.edits) - (a.writes + a.edits) || (b.reads - a.reads));
+}
+
+function costReport(sessions, groupBy) {
+  const keyOf = {
+    session: s => s.id,
+    model: s => s.model || 'unknown',
+    source: s => s.source || 'unknown',
+    project: s => s.project || 'unknown',
+    day: s => new Date(s.startedAt || 0).toISOString().slice(0, 10)
+  }[groupBy];
+  const empty = () => ({ sessions: 0, cost: 0, inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0, toolCalls: 0, errors: 0 });
+  const total = empty();
+  const groups = new Map();
+  for (const s of sessions) {
+    const key = keyOf(s);
+    if (!groups.has(key)) groups.set(key, { key, ...empty() });
+    for (const bucket of [total, groups.get(key)]) {
+      bucket.sessions++;
+      for (const k of Object.keys(total)) if (k !== 'sessions') bucket[k] += s.stats?.[k] || 0;
+    }
+  }
+  return { groupBy, total, groups: [...groups.values()].sort((a, b) => b.cost - a.cost) };
+}
+
+async function sessionDigest(id) {
+  const sessionId = await resolveSessionId(id);
+  const [replay, summaries] = await Promise.all([fetchReplay(sessionId), fetchSessions()]);
+  const s = { ...replay.session, ...(summaries.find(x => x.id === sessionId) || {}) };
+  return {
+    session: { id: s.id, source: s.source, model: s.model, status: s.status, project: s.project || null, startedAt: s.startedAt, endedAt: s.endedAt || null, agentCount: s.agentCount },
+    stats: s.stats || replay.stats,
+    agents: replay.agents.map(a => ({ name: a.name, type: a.type, subagentType: a.subagentType, model: a.model, status: a.status, toolCalls: a.toolCallCount })),
+    files: fileActivity(replay.events),
+    errors: sessionErrors(replay.events),
+    annotations: s.annotations || null,
+    context: s.context || null,
+    timeline: timelineLines(replay.events).slice(-50)
+  };
 }
 
 async function handleToolCall(id, name, args) {
   try {
     if (name === 'monikhao_status') {
-      let stats;
+      let st;
       try {
-        const st = await httpGet('/api/state');
-        stats = st.stats || {};
+        st = await httpGet('/api/state');
       } catch {
         return respond(id, {
-          content: [{ type: 'text', text: 'Monikhao worker is not running. Dashboard URL: http://localhost:37800' }]
+          content: [{ type: 'text', text: `Monikhao worker is not running. Dashboard URL: http://localhost:${PORT}` }]
         });
       }
+      const stats = st.stats || {};
       const lines = [
         `Dashboard: http://localhost:${PORT}`,
         `Session: ${st?.session?.status || 'none'}`,
@@ -122,12 +407,129 @@ async function handleToolCall(id, name, args) {
       return respond(id, { content: [{ type: 'text', text: 'Usage: action="get" or action="set" with updates object' }] });
     }
 
+    if (name === 'monikhao_list_sessions') {
+      let list = await fetchSessions();
+      if (args.status && args.status !== 'all') list = list.filter(s => s.status === args.status);
+      if (args.source) list = list.filter(s => s.source === args.source);
+      list = list.slice(0, args.limit || 20);
+      if (!list.length) return text(id, 'No sessions recorded.');
+      return text(id, list.map(s => {
+        const st = s.stats || {};
+        return `${s.id} · ${s.source || '?'} · ${s.model || 'model unknown'} · ${s.status} · started ${fmtTime(s.startedAt)}` +
+          (s.endedAt ? ` · ended ${fmtTime(s.endedAt)}` : '') +
+          ` · ${st.toolCalls || 0} tool calls · ${st.errors || 0} errors · ${fmtCost(st.cost)}` + (s.project ? ` · ${s.project}` : '');
+      }));
+    }
+
+    if (name === 'monikhao_get_session_timeline') {
+      const sessionId = await resolveSessionId(args.session_id);
+      const replay = await fetchReplay(sessionId);
+      const lines = timelineLines(replay.events);
+      const shown = lines.slice(-(args.limit || 100));
+      const s = replay.session || {};
+      return text(id, [
+        `Session ${sessionId} (${s.source || '?'}, ${s.model || 'model unknown'}), started ${fmtTime(s.startedAt)}` +
+          ` · ${replay.stats.toolCalls || 0} tool calls · ${replay.stats.errors || 0} errors · ${fmtCost(replay.stats.cost)}`,
+        shown.length < lines.length ? `(last ${shown.length} of ${lines.length} lines)` : '',
+        ...shown
+      ].filter(Boolean));
+    }
+
+    if (name === 'monikhao_search_events') {
+      const query = new URLSearchParams({ limit: String(args.limit || 20) });
+      if (args.query) query.set('q', args.query);
+      if (args.session_id) query.set('session', await resolveSessionId(args.session_id));
+      if (args.tool) query.set('tool', args.tool);
+      if (args.phase) query.set('type', args.phase);
+      if (args.source) query.set('source', args.source);
+      const { events } = await httpGet(`/api/events/search?${query}`, 15000);
+      if (!events.length) return text(id, 'No matching events.');
+      return text(id, events.map(e => {
+        const detail = e.phase === 'post' ? describeOutput(e.tool_response) : e.phase === 'pre' ? describeInput(e.tool_input) : clip(e.message || e.reason || e.model || '', 160);
+        return `#${e.seq} ${fmtTime(e.timestamp)} ${e.session_id} ${e.phase} ${e.tool_name || ''} ${detail}`.replace(/\s+/g, ' ');
+      }));
+    }
+
+    if (name === 'monikhao_get_file_activity') {
+      const sessionId = await resolveSessionId(args.session_id);
+      const { events } = await httpGet(`/api/sessions/${encodeURIComponent(sessionId)}/events`, 15000);
+      const files = fileActivity(events, args.path);
+      if (!files.length) return text(id, `No file activity recorded for ${sessionId}.`);
+      return text(id, [`File activity in ${sessionId}:`, ...files.map(f => {
+        const ops = ['writes', 'edits', 'reads'].filter(k => f[k]).map(k => `${f[k]} ${k}`).join(', ');
+        const lines = f.linesAdded || f.linesRemoved ? ` (+${f.linesAdded}/-${f.linesRemoved} lines)` : '';
+        return `${f.path}: ${ops}${lines}, last ${fmtTime(f.lastAt)}`;
+      })]);
+    }
+
+    if (name === 'monikhao_get_cost_report') {
+      let list = await fetchSessions();
+      if (args.days) list = list.filter(s => s.startedAt >= Date.now() - args.days * 86400000);
+      const report = costReport(list, args.group_by || 'model');
+      const t = report.total;
+      const lines = [
+        `Total: ${fmtCost(t.cost)} over ${t.sessions} sessions · ${t.inputTokens} in / ${t.outputTokens} out / ${t.cacheReadTokens} cache read / ${t.cacheWriteTokens} cache write tokens`,
+        `By ${report.groupBy}:`,
+        ...report.groups.map(g => `  ${g.key}: ${fmtCost(g.cost)} · ${g.sessions} sessions · ${g.toolCalls} tool calls · ${g.inputTokens + g.outputTokens} tokens`)
+      ];
+      try {
+        const { status } = await httpGet('/api/budgets');
+        if (status?.length) lines.push('Budgets:', ...status.map(b => `  ${b.scope} ${b.label}: ${Math.round(b.ratio * 100)}% of ${b.metric === 'cost' ? fmtCost(b.limit) : b.limit + ' tokens'} used`));
+      } catch {}
+      return text(id, lines);
+    }
+
+    if (name === 'monikhao_get_errors') {
+      const sessionId = await resolveSessionId(args.session_id);
+      const errors = sessionErrors((await fetchReplay(sessionId)).events).slice(-(args.limit || 20));
+      if (!errors.length) return text(id, `No failed tool calls in ${sessionId}.`);
+      return text(id, [`Errors in ${sessionId}:`, ...errors.map(e => `${fmtTime(e.timestamp)} ${e.agent ? e.agent + ': ' : ''}${e.tool} ${e.input}\n  -> ${e.output}`)]);
+    }
+
+    if (ANNOTATION_TOOLS[name]) {
+      // The worker picks the caller's session from MONIKHAO_SESSION_ID or the project folder
+      const sessionId = args.session_id || process.env.MONIKHAO_SESSION_ID || undefined;
+      const result = await httpPost('/api/annotations', { ...args, kind: ANNOTATION_TOOLS[name], session_id: sessionId, cwd: process.cwd() });
+      if (result?.error) return respondError(id, -32602, result.error);
+      return text(id, `Recorded ${ANNOTATION_TOOLS[name]} on session ${result.session_id}.`);
+    }
+
     respondError(id, -32601, `Unknown tool: ${name}`);
   } catch (e) {
     respondError(id, -32603, e.message);
   }
 }
 
+async function listResources() {
+  let sessions = [];
+  try { sessions = (await fetchSessions()).slice(0, 20); } catch {}
+  return [
+    ...STATIC_RESOURCES,
+    ...sessions.map(s => ({
+      uri: `monikhao://session/${encodeURIComponent(s.id)}`,
+      name: `Session ${s.id}`,
+      description: `${s.source || '?'} · ${s.status} · started ${fmtTime(s.startedAt)}`,
+      mimeType: 'application/json'
+    }))
+  ];
+}
+
+async function readResource(id, uri) {
+  try {
+    let data;
+    const match = /^monikhao:\/\/session\/([^/]+)$/.exec(uri || '');
+    if (uri === 'monikhao://sessions') data = await fetchSessions();
+    else if (uri === 'monikhao://cost-report') {
+      const list = await fetchSessions();
+      data = Object.fromEntries(['model', 'source', 'project', 'day'].map(g => [g, costReport(list, g)]));
+    } else if (match) data = await sessionDigest(decodeURIComponent(match[1]));
+    else return respondError(id, -32002, `Resource not found: ${uri}`);
+    respond(id, { contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }] });
+  } catch (e) {
+    respondError(id, -32603, e.message);
+  }
+}
+
 rl.on('line', async (line) => {
   let msg;
   try {
@@ -142,7 +544,7 @@ rl.on('line', async (line) => {
     case 'initialize':
       return respond(id, {
         protocolVersion: '2024-11-05',
-        capabilities: { tools: { listChanged: false } },
+        capabilities: { tools: { listChanged: false }, resources: { listChanged: false, subscribe: false } },
         serverInfo: { name: 'monikhao', version: '1.0.0' }
       });
 
@@ -156,6 +558,15 @@ rl.on('line', async (line) => {
     case 'tools/call':
       return await handleToolCall(id, params?.name, params?.arguments || {});
 
+    case 'resources/list':
+      return respond(id, { resources: await listResources() });
+
+    case 'resources/templates/list':
+      return respond(id, { resourceTemplates: RESOURCE_TEMPLATES });
+
+    case 'resources/read':
+      return await readResource(id, params?.uri);
+
     default:
       if (id !== undefined) {
         respondError(id, -32601, `Unknown method: ${method}`);
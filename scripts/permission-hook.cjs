@@ -0,0 +1,51 @@
+/**
+ * permission-hook.cjs - Dashboard approval for Claude Code permission prompts (CommonJS)
+ * Registers the prompt with the worker, then waits for Approve/Deny from the
+ * dashboard. Printing nothing (worker down, no dashboard open, timeout) lets
+ * Claude Code show its normal terminal prompt.
+ */
+const { debugLog, request } = require('./client.cjs');
+
+// Resolves to the parsed JSON response, or null on any failure
+function callWorker(method, path, body, timeout) {
+  return request(method, path, body, timeout).then(res => (res.status === 200 ? res.json : null), () => null);
+}
+
+let input = '';
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', chunk => { input += chunk; });
+process.stdin.on('end', async () => {
+  let data;
+  try {
+    data = input ? JSON.parse(input) : {};
+  } catch {
+    process.exit(0);
+  }
+
+  const pending = await callWorker('POST', '/api/permissions', {
+    session_id: data.session_id || null,
+    tool_name: data.tool_name || null,
+    tool_input: data.tool_input || null,
+    agent_id: data.agent_id || null,
+    agent_type: data.agent_type || null
+  }, 3000);
+  if (!pending || !pending.id) process.exit(0);
+
+  debugLog(`permission-hook: waiting on ${pending.id} tool=${data.tool_name || 'none'} session=${data.session_id || 'none'}`);
+  const waitMs = Math.max(0, pending.expiresAt - Date.now());
+  const result = await callWorker('GET', `/api/permissions/${encodeURIComponent(pending.id)}?wait=1&secret=${encodeURIComponent(pending.secret)}`, null, waitMs + 5000);
+  const decision = result && result.decision;
+  debugLog(`permission-hook: ${pending.id} -> ${decision || 'no answer'}`);
+
+  if (decision === 'allow' || decision === 'deny') {
+    process.stdout.write(JSON.stringify({
+      hookSpecificOutput: {
+        hookEventName: 'PermissionRequest',
+        decision: decision === 'allow'
+          ? { behavior: 'allow' }
+          : { behavior: 'deny', message: result.message || 'Denied from the Monikhao dashboard' }
+      }
+    }));
+  }
+  process.exit(0);
+});
@@ -1,24 +1,29 @@
 /**
- * session-stop-hook.cjs - Signals session end to worker (CommonJS)
+ * session-stop-hook.cjs - Signals turn and session end to worker (CommonJS)
+ * Arg "turn_end" (Stop: the agent finished responding) or "session_end"
+ * (SessionEnd: the session really closed) via process.argv[2].
+ * Also forwards token usage of the final response, which no tool hook sees.
  */
-const { request } = require('http');
+const { extractTranscriptInfo } = require('./transcript.cjs');
+const { createClient } = require('./client.cjs');
 
-const PORT = parseInt(process.env.AGENT_MONITOR_PORT || '37800');
+const phase = process.argv[2] === 'session_end' ? 'session_end' : 'turn_end';
 
 let input = '';
 process.stdin.setEncoding('utf8');
 process.stdin.on('data', chunk => { input += chunk; });
-process.stdin.on('end', () => {
+process.stdin.on('end', async () => {
   let sessionId = null;
-  try { const d = input ? JSON.parse(input) : {}; sessionId = d.session_id || null; } catch {}
+  let usage = null;
+  let reason = null;
+  try {
+    const d = input ? JSON.parse(input) : {};
+    sessionId = d.session_id || null;
+    reason = d.reason || null;
+    if (d.transcript_path) usage = extractTranscriptInfo(d.transcript_path).usage;
+  } catch {}
 
-  const payload = JSON.stringify({ phase: 'session_end', timestamp: Date.now(), session_id: sessionId, source: 'claudecode', tool_name: null, tool_input: null, tool_response: null });
-  const req = request({
-    hostname: '127.0.0.1', port: PORT, path: '/api/events', method: 'POST',
-    headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }, timeout: 3000
-  }, () => process.exit(0));
-  req.on('error', () => process.exit(0));
-  req.on('timeout', () => { req.destroy(); process.exit(0); });
-  req.write(payload);
-  req.end();
+  const monikhao = createClient({ source: 'claudecode', sessionId });
+  await monikhao.send(phase, { usage: usage && usage.length ? usage : null, reason });
+  process.exit(0);
 });
@@ -0,0 +1,28 @@
+/**
+ * spool.cjs - Offline event spool shared by the hooks (CommonJS)
+ * Events the worker could not accept are appended to ~/.monikhao/spool.jsonl;
+ * the worker ingests the file on its next start.
+ */
+const { appendFileSync, mkdirSync, statSync } = require('fs');
+const { join, dirname } = require('path');
+const { homedir } = require('os');
+const { randomUUID } = require('crypto');
+
+const SPOOL_FILE = join(homedir(), '.monikhao', 'spool.jsonl');
+const MAX_SPOOL_BYTES = 10 * 1024 * 1024; // Stop growing if the worker never comes back
+
+/** Unique id stamped on every event so one both delivered and spooled is ingested once. */
+function eventId() {
+  return randomUUID();
+}
+
+/** Append an undeliverable event (object or JSON string). Never throws. */
+function spoolEvent(event) {
+  try {
+    try { if (statSync(SPOOL_FILE).size > MAX_SPOOL_BYTES) return; } catch {}
+    mkdirSync(dirname(SPOOL_FILE), { recursive: true });
+    appendFileSync(SPOOL_FILE, (typeof event === 'string' ? event : JSON.stringify(event)) + '\n');
+  } catch {}
+}
+
+module.exports = { SPOOL_FILE, eventId, spoolEvent };
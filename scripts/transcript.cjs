@@ -0,0 +1,65 @@
+/**
+ * transcript.cjs - Claude Code transcript JSONL reader shared by the hooks (CommonJS)
+ * Extracts the latest thinking text, model, and per-message token usage.
+ */
+const { existsSync, statSync, openSync, readSync, closeSync } = require('fs');
+
+/** Read the last `maxBytes` of a file as complete JSONL lines. */
+function readTail(path, maxBytes) {
+  const stat = statSync(path);
+  const tailSize = Math.min(stat.size, maxBytes);
+  const fd = openSync(path, 'r');
+  const buf = Buffer.alloc(tailSize);
+  try { readSync(fd, buf, 0, tailSize, stat.size - tailSize); } finally { closeSync(fd); }
+  const lines = buf.toString('utf8').split('\n').filter(Boolean);
+  if (tailSize < stat.size) lines.shift(); // first line is probably cut in half
+  return lines;
+}
+
+/**
+ * Normalize an Anthropic `message.usage` block.
+ * Returns { id, model, input, output, cacheRead, cacheWrite } or null.
+ */
+function normalizeUsage(message) {
+  const u = message && message.usage;
+  if (!u || !message.id) return null;
+  return {
+    id: message.id,
+    model: message.model || null,
+    input: u.input_tokens || 0,
+    output: u.output_tokens || 0,
+    cacheRead: u.cache_read_input_tokens || 0,
+    cacheWrite: u.cache_creation_input_tokens || 0
+  };
+}
+
+/**
+ * Read the transcript tail. Returns { thinking, model, usage } where usage is
+ * one entry per assistant message id (Claude Code writes a line per content
+ * block, each repeating the message's usage — the last one wins).
+ */
+function extractTranscriptInfo(transcriptPath, maxBytes) {
+  const result = { thinking: null, model: null, usage: [] };
+  if (!transcriptPath || !existsSync(transcriptPath)) return result;
+  try {
+    const lines = readTail(transcriptPath, maxBytes || 65536);
+    const usageById = new Map();
+    for (let i = lines.length - 1; i >= 0; i--) {
+      let entry;
+      try { entry = JSON.parse(lines[i]); } catch { continue; }
+      if (entry.type !== 'assistant' || !entry.message) continue;
+      const msg = entry.message;
+      if (!result.model && msg.model) result.model = msg.model;
+      if (!result.thinking && Array.isArray(msg.content)) {
+        const thoughts = msg.content.filter(c => c.type === 'thinking' && c.thinking).map(c => c.thinking);
+        if (thoughts.length) result.thinking = thoughts[thoughts.length - 1].slice(0, 300);
+      }
+      const usage = normalizeUsage(msg);
+      if (usage && !usageById.has(usage.id)) usageById.set(usage.id, usage);
+    }
+    result.usage = [...usageById.values()].reverse();
+  } catch {}
+  return result;
+}
+
+module.exports = { extractTranscriptInfo, normalizeUsage };
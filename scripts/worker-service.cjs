@@ -12,9 +12,12 @@
 const express = require('express');
 const { WebSocketServer } = require('ws');
 const { createServer } = require('http');
-const { readFileSync, writeFileSync, existsSync, mkdirSync, unlinkSync } = require('fs');
-const { resolve, join } = require('path');
+const { readFileSync, writeFileSync, appendFileSync, existsSync, mkdirSync, unlinkSync, readdirSync, renameSync, openSync, readSync, closeSync } = require('fs');
+const { resolve, join, basename, sep } = require('path');
 const { homedir } = require('os');
+const { randomUUID, timingSafeEqual } = require('crypto');
+const { ensureTokens } = require('./auth.cjs');
+const { SCHEMA_VERSION, EVENT_PHASES, EVENT_FIELDS, validateEvent } = require('./event-schema.cjs');
 
 const PLUGIN_ROOT = process.env.MONIKHAO_ROOT || resolve(__dirname, '..');
 const WEB_DIR = join(PLUGIN_ROOT, 'web');
@@ -54,22 +57,30 @@ const AGENT_COLORS = [
 ];
 const usedNames = new Set();
 
-function pickAgentName() {
+// Looks are derived from a seed (session id + agent id), not Math.random(), so
+// agents rebuilt by replaying the event log after a crash look the same
+function seededIndex(seed, salt, length) {
+  let h = 0x811c9dc5; // FNV-1a
+  for (const ch of `${seed}:${salt}`) h = Math.imul(h ^ ch.charCodeAt(0), 0x01000193);
+  return (h >>> 0) % length;
+}
+
+function pickAgentName(seed) {
   // Try to find an unused name
   const available = AGENT_NAMES.filter(n => !usedNames.has(n));
   const pool = available.length > 0 ? available : AGENT_NAMES;
-  const name = pool[Math.floor(Math.random() * pool.length)];
+  const name = pool[seededIndex(seed, 'name', pool.length)];
   usedNames.add(name);
   return name;
 }
 
-function pickAgentColor() {
-  return AGENT_COLORS[Math.floor(Math.random() * AGENT_COLORS.length)];
+function pickAgentColor(seed) {
+  return AGENT_COLORS[seededIndex(seed, 'color', AGENT_COLORS.length)];
 }
 
 const AGENT_SHAPES = ['sphere', 'icosahedron', 'octahedron', 'dodecahedron', 'cube', 'torus', 'cone'];
-function pickAgentShape() {
-  return AGENT_SHAPES[Math.floor(Math.random() * AGENT_SHAPES.length)];
+function pickAgentShape(seed) {
+  return AGENT_SHAPES[seededIndex(seed, 'shape', AGENT_SHAPES.length)];
 }
 
 // ─── Source Detection ─────────────────────────────────────────────────────────
@@ -89,13 +100,21 @@ const sessions = new Map(); // sessionId -> sessionState
 let agentIdCounter = 0;
 
 // Carry-over stats from deleted sessions so counters don't reset
-const carryOverStats = { toolCalls: 0, filesAccessed: 0, estimatedTokens: 0, linesAdded: 0, linesRemoved: 0, turns: 0, errors: 0 };
+const carryOverStats = { toolCalls: 0, filesAccessed: 0, estimatedTokens: 0, linesAdded: 0, linesRemoved: 0, turns: 0, errors: 0, inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0, cost: 0 };
 
-// Session history — summaries of completed sessions (kept in memory)
+function carryOverSessionStats(ss) {
+  for (const k of Object.keys(carryOverStats)) {
+    carryOverStats[k] += k === 'cost' ? sessionCost(ss.stats, ss.session.model) : ss.stats[k] || 0;
+  }
+}
+
+// Session history — summaries of completed sessions (persisted via snapshots)
 const sessionHistory = []; // Array of { id, source, model, startedAt, endedAt, stats, agentCount }
-const MAX_HISTORY = 50;
+const MAX_HISTORY = config.maxHistory || 50;
 
 const STALE_TIMEOUT = config.staleTimeout || 5 * 60 * 1000; // 5 minutes with no activity = stale
+// A session whose turn has ended is waiting for the user, not stale; SessionEnd ends it properly
+const PROMPT_IDLE_TIMEOUT = config.promptIdleTimeout || 30 * 60 * 1000;
 
 function createSessionState(sessionId, timestamp, source) {
   return {
@@ -103,25 +122,36 @@ function createSessionState(sessionId, timestamp, source) {
     agents: [],
     timeline: [],
     files: new Map(),
-    stats: { toolCalls: 0, filesAccessed: 0, startedAt: timestamp, estimatedTokens: 0, linesAdded: 0, linesRemoved: 0, turns: 0, errors: 0 },
-    pendingToolCalls: new Map(),
+    stats: { toolCalls: 0, filesAccessed: 0, startedAt: timestamp, estimatedTokens: 0, linesAdded: 0, linesRemoved: 0, turns: 0, errors: 0, inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0, cost: 0 },
+    pendingToolCalls: new Map(), // tool_use_id (or toolCall id if none) -> { toolCallId, tool }
+    usageByMessage: new Map(),   // message id -> last usage applied (transcripts repeat messages)
+    annotations: { goal: null, milestones: [], progress: null }, // Agent-posted narrative (MCP)
+    turn: null,          // Open turn: { index, startedAt, idleBefore, base } (see Turns)
+    lastTurnEndedAt: null,
     lastActivity: timestamp
   };
 }
 
 function archiveSession(ss) {
   if (ss.stats.toolCalls === 0) return; // skip empty sessions
+  const main = ss.agents.find(a => a.type === 'main');
   sessionHistory.push({
     id: ss.session.id,
     source: ss.session.source,
     model: ss.session.model,
     startedAt: ss.session.startedAt,
     endedAt: ss.session.endedAt || Date.now(),
-    stats: { ...ss.stats },
+    stats: { ...ss.stats, cost: sessionCost(ss.stats, ss.session.model) },
     agentCount: ss.agents.length,
-    agentNames: ss.agents.map(a => a.name)
+    agentNames: ss.agents.map(a => a.name),
+    // Visual identity per agent (in spawn order) so replays look like the original run
+    agentIdentities: ss.agents.map(a => ({ name: a.name, color: a.color, shape: a.shape })),
+    annotations: hasAnnotations(ss) ? ss.annotations : undefined,
+    turns: main?.turns,
+    context: contextSummary(main)
   });
   while (sessionHistory.length > MAX_HISTORY) sessionHistory.shift();
+  markSection('history');
 }
 
 function getSession(sessionId) {
@@ -138,6 +168,13 @@ function getOrCreateSession(sessionId, timestamp, source) {
   return ss;
 }
 
+// Drop a live session; callers archive or carry over its stats first as needed
+function removeSession(ss) {
+  for (const a of ss.agents) { if (a.type === 'main') usedNames.delete(a.name); }
+  sessions.delete(ss.session.id);
+  markSessionRemoved(ss);
+}
+
 // Reactivate a session that was auto-ended by the pruner but is getting new activity
 function reactivateIfEnded(ss, timestamp) {
   if (ss.session.status === 'ended') {
@@ -148,6 +185,7 @@ function reactivateIfEnded(ss, timestamp) {
     if (main && main.status === 'completed') {
       main.status = 'active';
       main.completedAt = null;
+      markAgent(main);
     }
   }
   ss.lastActivity = timestamp;
@@ -159,60 +197,58 @@ function pruneStaleAndEndedSessions() {
   const endedCutoff = now - 2 * 60 * 1000; // Remove ended sessions after 2 minutes
   let changed = false;
 
-  for (const [id, s] of sessions) {
+  for (const s of sessions.values()) {
     // Remove ended sessions after 2 minutes, but preserve their stats
     if (s.session.status === 'ended' && s.session.endedAt && s.session.endedAt < endedCutoff) {
       archiveSession(s);
-      carryOverStats.toolCalls += s.stats.toolCalls || 0;
-      carryOverStats.filesAccessed += s.stats.filesAccessed || 0;
-      carryOverStats.estimatedTokens += s.stats.estimatedTokens || 0;
-      carryOverStats.linesAdded += s.stats.linesAdded || 0;
-      carryOverStats.linesRemoved += s.stats.linesRemoved || 0;
-      carryOverStats.turns += s.stats.turns || 0;
-      carryOverStats.errors += s.stats.errors || 0;
-      // Free up agent names
-      for (const a of s.agents) { if (a.type === 'main') usedNames.delete(a.name); }
-      sessions.delete(id);
+      carryOverSessionStats(s);
+      removeSession(s);
       changed = true;
       continue;
     }
     // Fast-prune empty sessions (0 tool calls, idle 15s) — e.g. model switch ghosts
     if (s.session.status === 'active' && s.stats.toolCalls === 0 && (now - s.lastActivity) > 15000) {
-      for (const a of s.agents) { if (a.type === 'main') usedNames.delete(a.name); }
-      sessions.delete(id);
+      removeSession(s);
       changed = true;
       continue;
     }
-    // Auto-end active sessions with no activity for STALE_TIMEOUT
-    if (s.session.status === 'active' && (now - s.lastActivity) > STALE_TIMEOUT) {
+    // Auto-end active sessions with no activity for STALE_TIMEOUT (longer when waiting at the prompt)
+    const staleAfter = s.turnEvents && !s.turn ? PROMPT_IDLE_TIMEOUT : STALE_TIMEOUT;
+    if (s.session.status === 'active' && (now - s.lastActivity) > staleAfter) {
       s.session.status = 'ended';
       s.session.endedAt = now;
       for (const agent of s.agents) {
-        if (agent.status === 'active') { agent.status = 'completed'; agent.completedAt = now; }
+        if (agent.status === 'active') { agent.status = 'completed'; agent.completedAt = now; markAgent(agent); }
       }
+      markSection('sessions');
       changed = true;
     }
   }
 
-  if (changed) broadcast({ type: 'state_update', state: getPublicState() });
+  if (changed) {
+    stateDirty = true;
+    publishState({ type: 'state_update' });
+  }
 }
-setInterval(pruneStaleAndEndedSessions, 15000);
+// Timers are unref'd: the listening server keeps the worker alive, and a
+// test that loads this module can still exit
+setInterval(pruneStaleAndEndedSessions, 15000).unref();
 
 // ─── Auto-Shutdown (idle worker cleanup) ─────────────────────────────────────
-// Shuts down when no active sessions AND no dashboard clients for IDLE_SHUTDOWN_DELAY.
+// Shuts down when no active sessions AND no dashboard/stream clients for IDLE_SHUTDOWN_DELAY.
 const IDLE_SHUTDOWN_DELAY = (config.idleShutdownSeconds || 60) * 1000;
 let idleShutdownTimer = null;
 
 function checkIdleShutdown() {
   const hasActiveSessions = [...sessions.values()].some(s => s.session.status === 'active');
-  const hasDashboardClients = clients && clients.size > 0;
+  const hasDashboardClients = (clients && clients.size > 0) || streamSubscribers.size > 0;
 
   if (!hasActiveSessions && !hasDashboardClients) {
     if (!idleShutdownTimer) {
       idleShutdownTimer = setTimeout(() => {
         // Re-check before actually exiting (session could have started during delay)
         const stillActive = [...sessions.values()].some(s => s.session.status === 'active');
-        const stillHasClients = clients && clients.size > 0;
+        const stillHasClients = (clients && clients.size > 0) || streamSubscribers.size > 0;
         if (!stillActive && !stillHasClients) {
           process.stderr.write(`[monikhao] No active sessions or clients for ${IDLE_SHUTDOWN_DELAY / 1000}s — shutting down.\n`);
           cleanupAndExit(0);
@@ -226,17 +262,19 @@ function checkIdleShutdown() {
     idleShutdownTimer = null;
   }
 }
-setInterval(checkIdleShutdown, 10000);
+setInterval(checkIdleShutdown, 10000).unref();
 
 // ─── Agent Management (per-session) ──────────────────────────────────────────
-function getOrCreateMainAgent(ss) {
+function getOrCreateMainAgent(ss, timestamp) {
   let main = ss.agents.find(a => a.type === 'main');
   if (!main) {
+    const id = `agent-${agentIdCounter++}`;
+    const seed = `${ss.session.id}:${id}`;
     main = {
-      id: `agent-${agentIdCounter++}`,
-      name: pickAgentName(),
-      color: pickAgentColor(),
-      shape: pickAgentShape(),
+      id,
+      name: pickAgentName(seed),
+      color: pickAgentColor(seed),
+      shape: pickAgentShape(seed),
       type: 'main',
       subagentType: null,
       model: null,
@@ -244,24 +282,28 @@ function getOrCreateMainAgent(ss) {
       sessionId: ss.session.id,
       source: ss.session.source || 'unknown',
       status: 'active',
-      spawnedAt: Date.now(),
+      spawnedAt: timestamp,
       completedAt: null,
       toolCalls: [],
-      toolCallCount: 0
+      toolCallCount: 0,
+      ...emptyUsage()
     };
     ss.agents.push(main);
+    markAgent(main, true);
   }
   return main;
 }
 
-function spawnSubagent(ss, parentId, taskInput) {
+function spawnSubagent(ss, parentId, taskInput, timestamp) {
   const subType = taskInput?.subagent_type || 'general-purpose';
   const desc = taskInput?.description || 'Subagent';
+  const id = `agent-${agentIdCounter++}`;
+  const seed = `${ss.session.id}:${id}`;
   const agent = {
-    id: `agent-${agentIdCounter++}`,
+    id,
     name: desc,
-    color: pickAgentColor(),
-    shape: pickAgentShape(),
+    color: pickAgentColor(seed),
+    shape: pickAgentShape(seed),
     type: 'subagent',
     subagentType: subType,
     model: taskInput?.model || null,
@@ -269,12 +311,14 @@ function spawnSubagent(ss, parentId, taskInput) {
     sessionId: ss.session.id,
     source: ss.session.source || 'unknown',
     status: 'active',
-    spawnedAt: Date.now(),
+    spawnedAt: timestamp,
     completedAt: null,
     toolCalls: [],
-    toolCallCount: 0
+    toolCallCount: 0,
+    ...emptyUsage()
   };
   ss.agents.push(agent);
+  markAgent(agent, true);
   return agent;
 }
 
@@ -285,11 +329,62 @@ function findActiveAgent(ss) {
   return ss.agents[0] || null;
 }
 
+// Map a platform agent id (Claude Code's agent_id) to one of our subagents.
+// Unknown ids claim the oldest active, still-unbound subagent — preferring a
+// matching subagent_type — since subagents start in spawn order.
+function bindSubagent(ss, platformId, agentType) {
+  ss.agentIdsSeen = true;
+  const bound = ss.agents.find(a => a.platformAgentId === platformId);
+  if (bound) return bound;
+  const unbound = ss.agents.filter(a => a.type === 'subagent' && a.status === 'active' && !a.platformAgentId);
+  const sub = unbound.find(a => agentType && a.subagentType === agentType) || unbound[0];
+  if (sub) sub.platformAgentId = platformId;
+  return sub || null;
+}
+
+// Which agent issued a tool event. Tagged events go to their subagent; once a
+// session has shown agent ids, untagged events are the main agent's. Platforms
+// without agent ids fall back to the most recently spawned active agent.
+function resolveAgent(ss, event) {
+  const main = ss.agents.find(a => a.type === 'main');
+  if (event.agent_id && event.agent_id !== ss.session.id) {
+    const sub = bindSubagent(ss, event.agent_id, event.agent_type);
+    if (sub) return sub;
+  }
+  // Only the main agent can spawn subagents, so a Task/Agent call is never a subagent's
+  if (ss.agentIdsSeen || event.tool_name === 'Task' || event.tool_name === 'Agent') return main || findActiveAgent(ss);
+  return findActiveAgent(ss);
+}
+
+// Match a post event to its pending pre: exact tool_use_id first, then the
+// oldest pending call of the same tool (FIFO) for platforms without call ids.
+// Returns { toolCall, agent } where agent is the call's owner.
+function takePendingToolCall(ss, toolUseId, toolName) {
+  let key = toolUseId && ss.pendingToolCalls.has(toolUseId) ? toolUseId : null;
+  if (!key) {
+    for (const [k, p] of ss.pendingToolCalls) {
+      if (p.tool === toolName) { key = k; break; }
+    }
+  }
+  if (!key) return null;
+  const pending = ss.pendingToolCalls.get(key);
+  ss.pendingToolCalls.delete(key);
+  for (const agent of ss.agents) {
+    const toolCall = agent.toolCalls.find(tc => tc.id === pending.toolCallId);
+    if (toolCall) return { toolCall, agent };
+  }
+  return null;
+}
+
 // ─── Event Processing ──────────────────────────────────────────────────────────
 function processEvent(event) {
-  const { phase, timestamp, session_id, tool_name, tool_input, tool_response, model } = event;
+  const { phase, timestamp, session_id, tool_name, tool_input, tool_response, tool_use_id, model } = event;
   const sid = session_id || 'unknown';
   const source = detectSource(event);
+  const before = sessions.get(sid);
+  const sessionBefore = before && { ...before.session };
+  // Counters before this event, in case it is the first of a new turn
+  const turnBase = before ? turnCounters(before.stats) : null;
 
   switch (phase) {
     case 'session_start': {
@@ -302,25 +397,18 @@ function processEvent(event) {
           if (model) {
             existing.session.model = model;
             const main = existing.agents.find(a => a.type === 'main');
-            if (main) main.model = model;
+            if (main) { main.model = model; markAgent(main); }
           }
           if (source && existing.session.source === 'unknown') existing.session.source = source;
-          existing.lastActivity = Date.now();
+          existing.lastActivity = timestamp;
           break;
         }
         // Session was ended — carry over stats and recreate
-        carryOverStats.toolCalls += existing.stats.toolCalls || 0;
-        carryOverStats.filesAccessed += existing.stats.filesAccessed || 0;
-        carryOverStats.estimatedTokens += existing.stats.estimatedTokens || 0;
-        carryOverStats.linesAdded += existing.stats.linesAdded || 0;
-        carryOverStats.linesRemoved += existing.stats.linesRemoved || 0;
-        carryOverStats.turns += existing.stats.turns || 0;
-        carryOverStats.errors += existing.stats.errors || 0;
-        for (const a of existing.agents) { if (a.type === 'main') usedNames.delete(a.name); }
-        sessions.delete(sid);
+        carryOverSessionStats(existing);
+        removeSession(existing);
       }
       const ss = getOrCreateSession(sid, timestamp, source);
-      const mainAgent = getOrCreateMainAgent(ss);
+      const mainAgent = getOrCreateMainAgent(ss, timestamp);
       if (model) {
         mainAgent.model = model;
         ss.session.model = model;
@@ -330,10 +418,13 @@ function processEvent(event) {
     case 'session_end': {
       const ss = getSession(sid);
       if (ss) {
+        applyUsage(ss, resolveAgent(ss, event), event.usage);
+        if (ss.turn) event.turn = closeTurn(ss, timestamp);
         ss.session.status = 'ended';
         ss.session.endedAt = timestamp;
+        if (event.reason) ss.session.endReason = event.reason;
         for (const agent of ss.agents) {
-          if (agent.status === 'active') { agent.status = 'completed'; agent.completedAt = timestamp; }
+          if (agent.status === 'active') { agent.status = 'completed'; agent.completedAt = timestamp; markAgent(agent); }
         }
       }
       break;
@@ -341,35 +432,42 @@ function processEvent(event) {
     case 'pre': {
       const ss = getOrCreateSession(sid, timestamp, source);
       reactivateIfEnded(ss, timestamp);
-      const mainAgent = getOrCreateMainAgent(ss);
+      const mainAgent = getOrCreateMainAgent(ss, timestamp);
 
       // Capture model from transcript data
       if (model && !mainAgent.model) {
         mainAgent.model = model;
         ss.session.model = model;
+        markAgent(mainAgent);
       }
 
+      const agent = resolveAgent(ss, event);
+      let sub = null;
       if (tool_name === 'Task' || tool_name === 'Agent') {
-        const sub = spawnSubagent(ss, mainAgent.id, tool_input);
+        sub = spawnSubagent(ss, (agent || mainAgent).id, tool_input, timestamp);
         addTimelineEvent(ss, timestamp, 'agent_spawn', sub.id, { name: sub.name, subagentType: sub.subagentType, parentId: sub.parentId });
       }
 
-      const agent = findActiveAgent(ss);
+      applyUsage(ss, agent, event.usage);
       if (agent) {
         const toolCall = {
-          id: `tc-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+          id: `tc-${timestamp}-${agent.id.slice(6)}-${agent.toolCallCount}`, // Same id when replayed
           tool: tool_name,
+          toolUseId: tool_use_id || null,
           inputSummary: summarizeInput(tool_name, tool_input),
           outputSummary: null,
           startedAt: timestamp,
           completedAt: null,
           status: 'executing'
         };
+        event.agentId = agent.id;
+        event.toolCallId = toolCall.id;
+        if (sub) sub.spawnToolCallId = toolCall.id;
         agent.toolCalls.push(toolCall);
         agent.toolCallCount++;
         ss.stats.toolCalls++;
         ss.stats.estimatedTokens += estimateTokens(tool_input);
-        ss.pendingToolCalls.set(tool_name, toolCall.id);
+        ss.pendingToolCalls.set(tool_use_id || toolCall.id, { toolCallId: toolCall.id, tool: tool_name });
         trackFileAccess(ss, tool_name, tool_input, timestamp);
         addTimelineEvent(ss, timestamp, 'tool_start', agent.id, { toolCallId: toolCall.id, tool: tool_name, input: toolCall.inputSummary });
       }
@@ -378,17 +476,11 @@ function processEvent(event) {
     case 'post': {
       const ss = getOrCreateSession(sid, timestamp, source);
       reactivateIfEnded(ss, timestamp);
-      const agent = findActiveAgent(ss);
+      const pending = takePendingToolCall(ss, tool_use_id, tool_name);
+      const toolCall = pending?.toolCall || null;
+      const agent = pending?.agent || resolveAgent(ss, event);
+      applyUsage(ss, agent, event.usage);
       if (agent) {
-        const pendingId = ss.pendingToolCalls.get(tool_name);
-        let toolCall = null;
-        if (pendingId) {
-          for (const a of ss.agents) {
-            toolCall = a.toolCalls.find(tc => tc.id === pendingId);
-            if (toolCall) break;
-          }
-          ss.pendingToolCalls.delete(tool_name);
-        }
         let isError = false;
         if (toolCall) {
           toolCall.completedAt = timestamp;
@@ -398,29 +490,183 @@ function processEvent(event) {
           if (isError) ss.stats.errors++;
         }
         event.isError = isError;
+        event.agentId = agent.id;
+        if (toolCall) event.toolCallId = toolCall.id;
         ss.stats.estimatedTokens += estimateTokens(tool_response);
         if (tool_name === 'Task' || tool_name === 'Agent') {
-          const lastSub = [...ss.agents].reverse().find(a => a.type === 'subagent' && a.status === 'active');
-          if (lastSub) { lastSub.status = 'completed'; lastSub.completedAt = timestamp; }
+          // Complete the subagent this exact Task call spawned; legacy fallback is the newest active one
+          const sub = (toolCall && ss.agents.find(a => a.spawnToolCallId === toolCall.id))
+            || [...ss.agents].reverse().find(a => a.type === 'subagent' && a.status === 'active');
+          if (sub && sub.status === 'active') {
+            sub.status = 'completed';
+            sub.completedAt = timestamp;
+            event.completedAgentId = sub.id;
+          }
+        }
+        addTimelineEvent(ss, timestamp, 'tool_end', agent.id, { toolCallId: toolCall?.id || null, tool: tool_name, output: toolCall?.outputSummary || null, isError });
+      }
+      break;
+    }
+    case 'subagent_start': {
+      // Claude Code SubagentStart: bind its agent_id before the subagent's first tool call
+      const ss = getSession(sid);
+      if (ss && event.agent_id) {
+        const sub = bindSubagent(ss, event.agent_id, event.agent_type);
+        if (sub) event.agentId = sub.id;
+      }
+      break;
+    }
+    case 'subagent_stop': {
+      // Claude Code SubagentStop: only trust an existing binding; the Task post completes the rest
+      const ss = getSession(sid);
+      const sub = ss && event.agent_id ? ss.agents.find(a => a.platformAgentId === event.agent_id) : null;
+      if (sub) applyUsage(ss, sub, event.usage);
+      if (sub && sub.status === 'active') {
+        sub.status = 'completed';
+        sub.completedAt = timestamp;
+        event.agentId = sub.id;
+        event.completedAgentId = sub.id;
+      }
+      break;
+    }
+    case 'policy_block': {
+      const ss = getOrCreateSession(sid, timestamp, source);
+      reactivateIfEnded(ss, timestamp);
+      getOrCreateMainAgent(ss, timestamp);
+      const agent = resolveAgent(ss, event);
+      if (agent) {
+        event.agentId = agent.id;
+        addTimelineEvent(ss, timestamp, 'policy_block', agent.id, { tool: tool_name, rule: event.rule, reason: event.reason });
+      }
+      break;
+    }
+    case 'usage': {
+      // Standalone usage report (OpenCode message.updated) — no tool call attached
+      const ss = getOrCreateSession(sid, timestamp, source);
+      const agent = resolveAgent(ss, event);
+      applyUsage(ss, agent, event.usage);
+      if (agent) event.agentId = agent.id;
+      break;
+    }
+    case 'turn_start':
+    case 'user_prompt': {
+      // The user handed the agent a new turn (Claude Code UserPromptSubmit,
+      // OpenCode user message, Hermes agent:start). The text is only present
+      // when prompt capture is on, already redacted by ingestEvent().
+      const ss = getOrCreateSession(sid, timestamp, source);
+      reactivateIfEnded(ss, timestamp);
+      const main = getOrCreateMainAgent(ss, timestamp);
+      event.agentId = main.id;
+      ss.turnEvents = true;
+      if (ss.turn) closeTurn(ss, timestamp); // Missed a Stop
+      openTurn(ss, timestamp, turnCounters(ss.stats), event.prompt);
+      event.turnIndex = ss.turn.index;
+      if (phase === 'user_prompt') addTimelineEvent(ss, timestamp, 'user_prompt', main.id, { turn: ss.turn.index, prompt: event.prompt || null });
+      break;
+    }
+    case 'turn_end': {
+      // Claude Code Stop: the agent finished responding and waits for the user.
+      // The session stays active; only SessionEnd (session_end) ends it.
+      const ss = getSession(sid);
+      if (ss) {
+        reactivateIfEnded(ss, timestamp);
+        const main = getOrCreateMainAgent(ss, timestamp);
+        applyUsage(ss, main, event.usage);
+        ss.turnEvents = true;
+        event.agentId = main.id;
+        if (ss.turn) {
+          event.turn = closeTurn(ss, timestamp);
+          addTimelineEvent(ss, timestamp, 'turn_end', main.id, event.turn);
         }
-        addTimelineEvent(ss, timestamp, 'tool_end', agent.id, { tool: tool_name, output: toolCall?.outputSummary || null, isError });
+        ss.stats.turns++;
       }
       break;
     }
     case 'notification': {
       const ss = getOrCreateSession(sid, timestamp, source);
       reactivateIfEnded(ss, timestamp);
-      ss.stats.turns++;
-      const agent = findActiveAgent(ss);
+      if (!ss.turnEvents) ss.stats.turns++; // Platforms without turn events count responses
+      const agent = resolveAgent(ss, event);
       if (agent) {
+        event.agentId = agent.id;
         agent.lastResponse = event.message || null;
         addTimelineEvent(ss, timestamp, 'agent_response', agent.id, { message: truncate(event.message, 200) });
       }
       break;
     }
+    case 'compact': {
+      const ss = getOrCreateSession(sid, timestamp, source);
+      reactivateIfEnded(ss, timestamp);
+      const main = getOrCreateMainAgent(ss, timestamp);
+      applyUsage(ss, main, event.usage);
+      trackContext(ss, event.usage, timestamp); // Size right before
+      event.agentId = main.id;
+      event.compaction = recordCompaction(ss, main, event, timestamp);
+      addTimelineEvent(ss, timestamp, 'compaction', main.id, event.compaction);
+      break;
+    }
+    case 'annotation': {
+      const ss = getOrCreateSession(sid, timestamp, source);
+      reactivateIfEnded(ss, timestamp);
+      const agent = resolveAgent(ss, event) || getOrCreateMainAgent(ss, timestamp);
+      event.agentId = agent.id;
+      applyAnnotation(ss, agent, event);
+      break;
+    }
   }
 
-  broadcast({ type: 'event', event, state: getPublicState() });
+  const touched = sessions.get(sid);
+  if (touched) {
+    if (event.cwd && !touched.session.project) touched.session.project = event.cwd;
+    // Activity after a Stop without a prompt seen (e.g. worker restarted mid-session) opens a turn
+    if (touched.turnEvents && !touched.turn && TURN_ACTIVITY.has(phase)) openTurn(touched, timestamp, turnBase || turnCounters({}));
+    // A subagent's own transcript says nothing about the main context
+    if (event.usage && phase !== 'subagent_stop') trackContext(touched, event.usage, timestamp);
+    trackBudgetUsage(touched, timestamp);
+    for (const id of [event.agentId, event.completedAgentId]) {
+      if (id) markAgent(touched.agents.find(a => a.id === id));
+    }
+  }
+  if (touched !== before || (touched && !shallowEqual(sessionBefore, touched.session))) markSection('sessions');
+
+  if (!replaying) {
+    if (batchedEvents) batchedEvents.push(event);
+    else publishState({ type: 'event', event });
+    if (touched) checkBudgets(touched, event.agentId);
+  }
+}
+
+// Ingest several events with a single state broadcast ({ type: 'events' }) at
+// the end. Returns one { status, error?, problems? } result per input event.
+let batchedEvents = null; // Collects processed events while a batch runs
+function ingestBatch(events) {
+  batchedEvents = [];
+  const results = [];
+  try {
+    for (const event of events) {
+      const problems = validateEvent(event);
+      if (problems.length) {
+        results.push({ status: 'error', error: 'Invalid event', problems });
+        continue;
+      }
+      try {
+        ingestEvent(event);
+        results.push({ status: 'ok' });
+      } catch (e) {
+        results.push({ status: 'error', error: e.message });
+      }
+    }
+  } finally {
+    const processed = batchedEvents;
+    batchedEvents = null;
+    if (processed.length) publishState({ type: 'events', events: processed });
+  }
+  return results;
+}
+
+function shallowEqual(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(k => a[k] === b[k]);
 }
 
 function countLines(str) { return str ? (str.match(/\n/g) || []).length + 1 : 0; }
@@ -443,24 +689,656 @@ function trackFileAccess(ss, toolName, toolInput, timestamp) {
 
   if (filePath) {
     const existing = ss.files.get(filePath);
-    if (existing) { existing.accessCount++; existing.lastAccessed = timestamp; }
-    else { ss.files.set(filePath, { path: filePath, accessCount: 1, lastAccessed: timestamp, tool: toolName }); ss.stats.filesAccessed++; }
+    if (existing) { existing.accessCount++; existing.lastAccessed = timestamp; markFile(existing); }
+    else {
+      const file = { path: filePath, accessCount: 1, lastAccessed: timestamp, tool: toolName };
+      ss.files.set(filePath, file);
+      ss.stats.filesAccessed++;
+      markFile(file, true);
+    }
   }
 }
 
 function addTimelineEvent(ss, timestamp, type, agentId, data) {
-  ss.timeline.push({ timestamp, type, agentId, data });
+  const entry = { timestamp, type, agentId, data };
+  ss.timeline.push(entry);
+  markTimeline(entry);
   const max = config.maxTimelineEvents || 1000;
   if (ss.timeline.length > max) ss.timeline = ss.timeline.slice(-max);
 }
 
+// ─── Turns ─────────────────────────────────────────────────────────────────────
+// A turn runs from the user's prompt (turn_start) to the agent's Stop (turn_end).
+// Its record holds the session counters that moved in between; the gap since
+// the previous turn is time spent waiting for the user.
+const TURN_COUNTERS = ['toolCalls', 'errors', 'estimatedTokens', 'inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheWriteTokens', 'cost'];
+const TURN_ACTIVITY = new Set(['pre', 'post', 'policy_block', 'usage', 'notification', 'subagent_start', 'annotation', 'compact']);
+const MAX_TURNS = 200;
+
+function turnCounters(stats) {
+  const c = {};
+  for (const k of TURN_COUNTERS) c[k] = stats[k] || 0;
+  return c;
+}
+
+function openTurn(ss, timestamp, base, prompt) {
+  const main = getOrCreateMainAgent(ss, timestamp);
+  ss.turn = {
+    index: ss.turnCount = (ss.turnCount || 0) + 1,
+    prompt: prompt || null,
+    startedAt: timestamp,
+    idleBefore: ss.lastTurnEndedAt ? Math.max(0, timestamp - ss.lastTurnEndedAt) : null,
+    agentCount: ss.agents.length,
+    base
+  };
+  main.turnStartedAt = timestamp;
+  main.currentPrompt = prompt || null;
+  markAgent(main);
+}
+
+function closeTurn(ss, timestamp) {
+  const t = ss.turn;
+  const main = getOrCreateMainAgent(ss, timestamp);
+  const delta = {};
+  for (const k of TURN_COUNTERS) delta[k] = (ss.stats[k] || 0) - (t.base[k] || 0);
+  const record = {
+    index: t.index,
+    prompt: t.prompt || null,
+    startedAt: t.startedAt,
+    endedAt: timestamp,
+    duration: Math.max(0, timestamp - t.startedAt),
+    idleBefore: t.idleBefore,
+    toolCalls: delta.toolCalls,
+    errors: delta.errors,
+    subagents: Math.max(0, ss.agents.length - t.agentCount),
+    inputTokens: delta.inputTokens,
+    outputTokens: delta.outputTokens,
+    cacheReadTokens: delta.cacheReadTokens,
+    cacheWriteTokens: delta.cacheWriteTokens,
+    tokens: sessionTokens(delta),
+    cost: sessionCost(delta, ss.session.model)
+  };
+  if (!main.turns) main.turns = [];
+  main.turns.push(record);
+  if (main.turns.length > MAX_TURNS) main.turns.shift();
+  main.turnStartedAt = null;
+  main.currentPrompt = null;
+  markAgent(main);
+  ss.turn = null;
+  ss.lastTurnEndedAt = timestamp;
+  return record;
+}
+
+// ─── Redaction ─────────────────────────────────────────────────────────────────
+// Applied to every event before it is logged, processed or broadcast, so
+// secrets never reach the event log, snapshots, history or the dashboard.
+// Strings in the payload fields are scanned for likely credentials (plus the
+// redaction.patterns regexes); values under credential-like keys are dropped;
+// an event touching a .env file also has every KEY=value line masked.
+const SECRET_PATTERNS = [
+  /\b(?:sk|pk|rk)-[A-Za-z0-9_-]{16,}/g,                 // sk-..., sk-ant-... API keys
+  /\bgh[pousr]_[A-Za-z0-9]{20,}/g,                      // GitHub tokens
+  /\bAKIA[0-9A-Z]{16}\b/g,                              // AWS access key ids
+  /\bxox[abprs]-[A-Za-z0-9-]{10,}/g,                    // Slack tokens
+  /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]+/g, // JWTs
+  /(\bbearer\s+)[A-Za-z0-9._~+/-]{16,}=*/gi,
+  /(\b(?:password|passwd|secret|token|api[_-]?key)\s*[:=]\s*)\S+/gi
+];
+const REDACTED_FIELDS = ['tool_input', 'tool_response', 'thinking', 'message'];
+const SECRET_KEY = /^(?:password|passwd|secret|client[_-]?secret|token|access[_-]?token|refresh[_-]?token|api[_-]?key|authorization)$/i;
+// .env, .env.local, .env.production... but not the committed .env.example/.sample/.template
+const ENV_FILE = /(?:^|[\s/\\'"=])\.env(?:\.(?!example\b|sample\b|template\b)[\w-]+)*(?=$|[\s'";|&)<>])/;
+const ENV_ASSIGNMENT = /^([ \t]*(?:export[ \t]+)?[A-Za-z_][A-Za-z0-9_]*[ \t]*=[ \t]*)\S.*$/gm;
+
+function redactionEnabled() {
+  return config.redaction?.enabled !== false;
+}
+
+// Built-in patterns plus redaction.patterns (capture.redact is still honoured)
+function redactionRules() {
+  const rules = [...SECRET_PATTERNS];
+  for (const pattern of [...(config.redaction?.patterns || []), ...(config.capture?.redact || [])]) {
+    try { rules.push(new RegExp(pattern, 'gi')); } catch {}
+  }
+  return rules;
+}
+
+function redactText(text, rules = redactionRules()) {
+  let out = String(text);
+  if (!redactionEnabled()) return out;
+  for (const re of rules) out = out.replace(re, (m, keep) => (typeof keep === 'string' ? keep : '') + '[redacted]');
+  return out;
+}
+
+function redactValue(value, rules, envFile, depth = 0) {
+  if (typeof value === 'string') {
+    const out = redactText(value, rules);
+    return envFile ? out.replace(ENV_ASSIGNMENT, '$1[redacted]') : out;
+  }
+  if (!value || typeof value !== 'object' || depth > 20) return value;
+  if (Array.isArray(value)) return value.map(v => redactValue(v, rules, envFile, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    out[k] = SECRET_KEY.test(k) && v != null && typeof v !== 'object' ? '[redacted]' : redactValue(v, rules, envFile, depth + 1);
+  }
+  return out;
+}
+
+// Does the tool call read, write or run something on a .env file?
+function touchesEnvFile(toolInput) {
+  if (!toolInput || typeof toolInput !== 'object') return false;
+  return ['file_path', 'path', 'filePath', 'command', 'pattern'].some(k => typeof toolInput[k] === 'string' && ENV_FILE.test(toolInput[k]));
+}
+
+function redactEvent(event) {
+  if (!redactionEnabled()) return;
+  const rules = redactionRules();
+  const envFile = touchesEnvFile(event.tool_input);
+  for (const field of REDACTED_FIELDS) {
+    if (event[field] != null) event[field] = redactValue(event[field], rules, envFile);
+  }
+}
+
+// ─── Prompt Capture ────────────────────────────────────────────────────────────
+// Prompt text is opt-in (config.capture.prompts). Applied before an event is
+// logged, streamed or shown: without opt-in the text is dropped; with it,
+// likely secrets are masked and the text is cut to capture.maxPromptLength.
+function capturePrompt(event) {
+  if (event.prompt == null) return;
+  if (!config.capture?.prompts || typeof event.prompt !== 'string' || !event.prompt.trim()) { delete event.prompt; return; }
+  const max = config.capture.maxPromptLength || 500;
+  event.prompt = truncate(redactText(event.prompt.trim()), max);
+}
+
 // ─── Token Estimation (~4 chars per token) ────────────────────────────────────
+// Fallback only — real counts come from transcript usage (see applyUsage)
 function estimateTokens(obj) {
   if (!obj) return 0;
   const str = typeof obj === 'string' ? obj : JSON.stringify(obj);
   return Math.ceil(str.length / 4);
 }
 
+// ─── Token Usage ───────────────────────────────────────────────────────────────
+// Usage entries: { id, model, input, output, cacheRead, cacheWrite } per assistant message
+const USAGE_FIELDS = { input: 'inputTokens', output: 'outputTokens', cacheRead: 'cacheReadTokens', cacheWrite: 'cacheWriteTokens' };
+
+function emptyUsage() {
+  return { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0, cost: 0 };
+}
+
+// Add real token usage to session + agent stats. Hooks re-send recent messages
+// on every event, so only the delta against what was last seen per message id counts.
+function applyUsage(ss, agent, entries) {
+  if (!Array.isArray(entries)) return;
+  if (!ss.usageByMessage) ss.usageByMessage = new Map();
+  for (const u of entries) {
+    if (!u || !u.id) continue;
+    const prev = ss.usageByMessage.get(u.id);
+    const next = {};
+    for (const [src, stat] of Object.entries(USAGE_FIELDS)) {
+      next[src] = Math.max(0, Number(u[src]) || 0);
+      const delta = next[src] - (prev ? prev[src] : 0);
+      if (!delta) continue;
+      ss.stats[stat] = (ss.stats[stat] || 0) + delta;
+      if (agent) { agent[stat] = (agent[stat] || 0) + delta; markAgent(agent); }
+    }
+    // Priced per message, at the rate of the model that produced it
+    const price = findPricing(u.model || agent?.model || ss.session.model);
+    const costDelta = tokenCost(price, next) - (prev ? tokenCost(price, prev) : 0);
+    ss.stats.cost = (ss.stats.cost || 0) + costDelta;
+    if (agent) agent.cost = (agent.cost || 0) + costDelta;
+    ss.usageByMessage.set(u.id, next);
+  }
+}
+
+// ─── Pricing ($ per million tokens) ──────────────────────────────────────────
+// Entries are tried in order; `match` is a case-insensitive regex tested against
+// the model name, i.e. the last segment of provider-prefixed ids such as
+// "openrouter/anthropic/claude-opus-4.6". An entry with `provider` only applies
+// when that provider appears in the prefix. Unset cache rates default to
+// Anthropic's: reads 0.1x input, 5-minute writes 1.25x input. `context` is the
+// model's context window in tokens (see Context Window).
+const DEFAULT_PRICING = {
+  // Anthropic
+  'opus-4.6':     { match: 'opus-4[-.]6',           input: 5,    output: 25,   context: 200_000, label: 'Claude Opus 4.6' },
+  'opus-4.5':     { match: 'opus-4[-.]5',           input: 5,    output: 25,   context: 200_000, label: 'Claude Opus 4.5' },
+  'opus-4.1':     { match: 'opus-4[-.]1',           input: 15,   output: 75,   context: 200_000, label: 'Claude Opus 4.1' },
+  'opus-4':       { match: 'opus-4',                input: 15,   output: 75,   context: 200_000, label: 'Claude Opus 4' },
+  'sonnet-4.5':   { match: 'sonnet-4[-.]5',         input: 3,    output: 15,   context: 200_000, label: 'Claude Sonnet 4.5' },
+  'sonnet-4':     { match: 'sonnet-4',              input: 3,    output: 15,   context: 200_000, label: 'Claude Sonnet 4' },
+  'haiku-4.5':    { match: 'haiku-4[-.]5',          input: 1,    output: 5,    context: 200_000, label: 'Claude Haiku 4.5' },
+  'haiku-3.5':    { match: 'haiku-3[-.]5|3-5-haiku', input: 0.80, output: 4,   context: 200_000, label: 'Claude Haiku 3.5' },
+  // OpenAI (cached input is discounted, cache writes are free)
+  'gpt-5.2':      { match: 'gpt-5[-.]2',   input: 1.75, output: 14,   cacheRead: 0.175, cacheWrite: 1.75, context: 400_000, label: 'GPT-5.2' },
+  'gpt-5.1':      { match: 'gpt-5[-.]1',   input: 1.25, output: 10,   cacheRead: 0.125, cacheWrite: 1.25, context: 400_000, label: 'GPT-5.1' },
+  'gpt-5-mini':   { match: 'gpt-5-mini',   input: 0.25, output: 2,    cacheRead: 0.025, cacheWrite: 0.25, context: 400_000, label: 'GPT-5 Mini' },
+  'gpt-5':        { match: 'gpt-5',        input: 1.25, output: 10,   cacheRead: 0.125, cacheWrite: 1.25, context: 400_000, label: 'GPT-5' },
+  'gpt-4.1-mini': { match: 'gpt-4[-.]1-mini', input: 0.40, output: 1.60, cacheRead: 0.10, cacheWrite: 0.40, context: 1_047_576, label: 'GPT-4.1 Mini' },
+  'gpt-4.1':      { match: 'gpt-4[-.]1',   input: 2,    output: 8,    cacheRead: 0.50,  cacheWrite: 2,    context: 1_047_576, label: 'GPT-4.1' },
+  'gpt-4o-mini':  { match: 'gpt-4o-mini',  input: 0.15, output: 0.60, cacheRead: 0.075, cacheWrite: 0.15, context: 128_000, label: 'GPT-4o Mini' },
+  'gpt-4o':       { match: 'gpt-4o',       input: 2.50, output: 10,   cacheRead: 1.25,  cacheWrite: 2.50, context: 128_000, label: 'GPT-4o' },
+  'o3':           { match: '^o3',          input: 2,    output: 8,    cacheRead: 0.50,  cacheWrite: 2,    context: 200_000, label: 'o3' },
+  'o4-mini':      { match: '^o4-mini',     input: 1.10, output: 4.40, cacheRead: 0.275, cacheWrite: 1.10, context: 200_000, label: 'o4-mini' },
+};
+
+// Effective table: config.pricing.models entries override defaults by key; new
+// keys are tried first, provider-specific entries before generic ones.
+function getPricingTable() {
+  const custom = config.pricing?.models || {};
+  const table = [];
+  for (const [key, entry] of Object.entries(custom)) {
+    if (!DEFAULT_PRICING[key]) table.push({ key, ...entry });
+  }
+  for (const [key, entry] of Object.entries(DEFAULT_PRICING)) {
+    table.push({ key, ...entry, ...(custom[key] || {}) });
+  }
+  return [...table.filter(e => e.provider), ...table.filter(e => !e.provider)];
+}
+
+// Price entry for a raw model id; unknown models use the dashboard's fallback model
+function findPricing(modelId) {
+  const table = getPricingTable();
+  if (modelId) {
+    const id = String(modelId).toLowerCase();
+    const slash = id.lastIndexOf('/');
+    const name = id.slice(slash + 1);
+    const providers = slash >= 0 ? id.slice(0, slash).split('/') : [];
+    for (const entry of table) {
+      if (entry.provider && !providers.includes(String(entry.provider).toLowerCase())) continue;
+      let re = null;
+      try { re = new RegExp(entry.match || `^${entry.key}$`, 'i'); } catch { continue; }
+      if (re.test(name)) return entry;
+    }
+  }
+  const fallback = config.pricing?.model || 'opus-4.6';
+  return table.find(e => e.key === fallback) || null;
+}
+
+// $ for raw token counts { input, output, cacheRead, cacheWrite }, after any discount
+function tokenCost(price, usage) {
+  if (!price) return 0;
+  const discount = 1 - (Number(config.pricing?.discount) || 0);
+  const cacheRead = price.cacheRead ?? price.input * 0.1;
+  const cacheWrite = price.cacheWrite ?? price.input * 1.25;
+  const total = (usage.input || 0) * price.input + (usage.output || 0) * price.output +
+    (usage.cacheRead || 0) * cacheRead + (usage.cacheWrite || 0) * cacheWrite;
+  return (total / 1_000_000) * discount;
+}
+
+// Session cost: real usage when the platform reported any, otherwise a 70/30
+// input/output split of the ~4 chars/token estimate
+function sessionCost(stats, model) {
+  if (stats.inputTokens || stats.outputTokens || stats.cacheReadTokens || stats.cacheWriteTokens) return stats.cost || 0;
+  const tokens = stats.estimatedTokens || 0;
+  return tokenCost(findPricing(model), { input: tokens * 0.7, output: tokens * 0.3 });
+}
+
+// History entries archived before costs were tracked get one computed on the fly
+function historyWithCost(h) {
+  if (h.stats?.cost != null) return h;
+  return { ...h, stats: { ...(h.stats || {}), cost: sessionCost(h.stats || {}, h.model) } };
+}
+
+// ─── Context Window ──────────────────────────────────────────────────────────
+// A main agent's context is what its latest message saw: the prompt (fresh and
+// cached) plus its own output, which the next request carries along. Usage
+// tails end with the newest message, so only the last entry counts. Subagents
+// have their own windows and are not gauged.
+const DEFAULT_CONTEXT_WINDOW = 200_000;
+const EXTENDED_CONTEXT_WINDOW = 1_000_000;
+const MAX_COMPACTIONS = 50;
+
+// Window for a model: config.context.window overrides, then the model table
+function contextWindow(model) {
+  return Number(config.context?.window) || findPricing(model)?.context || DEFAULT_CONTEXT_WINDOW;
+}
+
+function trackContext(ss, entries, timestamp) {
+  const last = Array.isArray(entries) ? entries[entries.length - 1] : null;
+  if (!last || !last.id) return;
+  const tokens = ['input', 'cacheRead', 'cacheWrite', 'output'].reduce((n, k) => n + Math.max(0, Number(last[k]) || 0), 0);
+  if (!tokens) return;
+  const main = getOrCreateMainAgent(ss, timestamp);
+  const prev = main.context;
+  if (prev && (prev.at > timestamp || (prev.messageId === last.id && prev.tokens === tokens))) return; // Stale or unchanged
+  let window = contextWindow(last.model || main.model || ss.session.model);
+  // Grown past the model's window: it runs with the extended (1M) context
+  if (tokens > window) window = Math.max(EXTENDED_CONTEXT_WINDOW, tokens);
+  if (prev && prev.window > window) window = prev.window;
+  main.context = { tokens, window, ratio: Math.min(1, tokens / window), messageId: last.id, at: timestamp };
+  main.peakContext = Math.max(main.peakContext || 0, tokens);
+  // First message after a compaction tells how much survived it
+  const pending = main.compactions?.[main.compactions.length - 1];
+  if (pending && pending.after == null && pending.messageId !== last.id) pending.after = tokens;
+  markAgent(main); // Not always the event's agent (a subagent's call carries the main usage)
+}
+
+// Session-level view of the main agent's gauge (history, MCP summaries)
+function contextSummary(main) {
+  if (!main?.context) return undefined;
+  const { tokens, window, ratio } = main.context;
+  return { tokens, window, ratio, peak: main.peakContext || tokens, compactions: main.compactions || [] };
+}
+
+// Claude Code PreCompact (before) or OpenCode session.compacted (right after the
+// summary message). `after` stays null until the next message reports usage.
+function recordCompaction(ss, main, event, timestamp) {
+  const ctx = main.context;
+  const record = {
+    at: timestamp,
+    trigger: event.trigger || null, // 'manual' | 'auto'
+    before: ctx ? ctx.tokens : null,
+    after: null,
+    window: ctx ? ctx.window : null,
+    messageId: ctx ? ctx.messageId : null
+  };
+  if (!main.compactions) main.compactions = [];
+  main.compactions.push(record);
+  if (main.compactions.length > MAX_COMPACTIONS) main.compactions.shift();
+  ss.stats.compactions = (ss.stats.compactions || 0) + 1;
+  return record;
+}
+
+// ─── Budgets ─────────────────────────────────────────────────────────────────
+// config.budgets = { warnAt, session: { cost, tokens }, day: {...}, project: {...} }.
+// Limits are optional; day and project totals accumulate in budgetLedger as
+// session cost/tokens grow, so they survive session pruning and restarts.
+const BUDGET_SCOPES = ['session', 'day', 'project'];
+const budgetLedger = { days: {}, projects: {} }; // key -> { cost, tokens }
+const budgetAlerts = new Map(); // `${scope}:${id}:${metric}:${level}` -> first alerted at
+
+function sessionTokens(stats) {
+  const real = (stats.inputTokens || 0) + (stats.outputTokens || 0) + (stats.cacheReadTokens || 0) + (stats.cacheWriteTokens || 0);
+  return real || stats.estimatedTokens || 0;
+}
+
+function dayKey(ts) { return new Date(ts || Date.now()).toLocaleDateString('en-CA'); } // local YYYY-MM-DD
+
+// Move a session's cost/token growth since the last call into the day + project ledgers
+function trackBudgetUsage(ss, timestamp) {
+  const cost = sessionCost(ss.stats, ss.session.model);
+  const tokens = sessionTokens(ss.stats);
+  const seen = ss.budgetSeen || { cost: 0, tokens: 0 };
+  const dCost = cost - seen.cost;
+  const dTokens = tokens - seen.tokens;
+  if (!dCost && !dTokens) return;
+  ss.budgetSeen = { cost, tokens };
+  const buckets = [budgetLedger.days[dayKey(timestamp)] ||= { cost: 0, tokens: 0 }];
+  if (ss.session.project) buckets.push(budgetLedger.projects[ss.session.project] ||= { cost: 0, tokens: 0 });
+  for (const b of buckets) { b.cost += dCost; b.tokens += dTokens; }
+}
+
+function budgetUsage(scope, id) {
+  if (scope === 'session') {
+    const ss = sessions.get(id);
+    return ss ? { cost: sessionCost(ss.stats, ss.session.model), tokens: sessionTokens(ss.stats) } : null;
+  }
+  return (scope === 'day' ? budgetLedger.days[id] : budgetLedger.projects[id]) || { cost: 0, tokens: 0 };
+}
+
+// Status of every configured limit for one scope instance
+function budgetStatus(scope, id, label) {
+  const limits = config.budgets?.[scope] || {};
+  const warnAt = config.budgets?.warnAt ?? 0.8;
+  const used = budgetUsage(scope, id);
+  const out = [];
+  if (!used) return out;
+  for (const metric of ['cost', 'tokens']) {
+    const limit = Number(limits[metric]);
+    if (!(limit > 0)) continue;
+    const ratio = used[metric] / limit;
+    const level = ratio >= 1 ? 'exceeded' : ratio >= warnAt ? 'warning' : null;
+    out.push({ scope, id, label, metric, used: used[metric], limit, remaining: Math.max(0, limit - used[metric]), ratio, level });
+  }
+  return out;
+}
+
+function sessionBudgetStatus(ss) {
+  const project = ss.session.project;
+  return [
+    ...budgetStatus('session', ss.session.id, ss.session.id.slice(0, 8)),
+    ...budgetStatus('day', dayKey(), 'today'),
+    ...(project ? budgetStatus('project', project, basename(project)) : [])
+  ];
+}
+
+// All limits relevant right now: live sessions, today, and live sessions' projects
+function getBudgetStatus() {
+  const seen = new Set();
+  const out = budgetStatus('day', dayKey(), 'today');
+  seen.add('day');
+  for (const ss of sessions.values()) {
+    for (const b of sessionBudgetStatus(ss)) {
+      const key = b.scope + ':' + b.id + ':' + b.metric;
+      if (b.scope === 'day' || seen.has(key)) continue;
+      seen.add(key);
+      out.push(b);
+    }
+  }
+  return out;
+}
+
+// Emit budget_warning / budget_exceeded once per crossing
+function checkBudgets(ss, agentId) {
+  for (const b of sessionBudgetStatus(ss)) {
+    if (!b.level) continue;
+    const key = `${b.scope}:${b.id}:${b.metric}:${b.level}`;
+    if (budgetAlerts.has(key)) continue;
+    budgetAlerts.set(key, Date.now());
+    if (b.level === 'exceeded') budgetAlerts.set(`${b.scope}:${b.id}:${b.metric}:warning`, Date.now());
+    stateDirty = true;
+    const type = b.level === 'exceeded' ? 'budget_exceeded' : 'budget_warning';
+    process.stderr.write(`[monikhao] ${type}: ${b.scope} ${b.label} ${b.metric} ${b.used.toFixed(2)} / ${b.limit}\n`);
+    broadcast({ type, budget: { ...b, sessionId: ss.session.id, agentId: agentId || null } });
+  }
+}
+
+// ─── Policy ────────────────────────────────────────────────────────────────────
+// Opt-in (config.policy.enabled). Only consulted for pre events posted with
+// ?policy=1, i.e. by hooks that can actually enforce a deny (Claude Code PreToolUse).
+const WRITE_TOOLS = ['Write', 'Edit', 'MultiEdit', 'NotebookEdit'];
+
+// Minimal glob: ** spans directories, * and ? stay within one segment.
+// Absolute (or ~/) patterns match from the root; relative ones match any suffix.
+function globToRegExp(glob) {
+  const g = glob.replace(/\\/g, '/').replace(/^~(?=\/)/, homedir().replace(/\\/g, '/'));
+  const src = g.split(/(\*\*\/|\*\*|\*|\?)/).map(part => {
+    if (part === '**/') return '(?:.*/)?';
+    if (part === '**') return '.*';
+    if (part === '*') return '[^/]*';
+    if (part === '?') return '[^/]';
+    return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  const absolute = g.startsWith('/') || /^[a-z]:\//i.test(g);
+  return new RegExp((absolute ? '^' : '(?:^|/)') + src + '$', process.platform === 'win32' ? 'i' : '');
+}
+
+// Returns { rule, reason } when the call must be blocked, null to allow
+function evaluatePolicy(event) {
+  const policy = config.policy || {};
+  if (!policy.enabled || event.phase !== 'pre') return null;
+  const { tool_name, tool_input } = event;
+
+  if (tool_name === 'Bash' && tool_input?.command) {
+    for (const pattern of policy.bash?.deny || []) {
+      let re;
+      try { re = new RegExp(pattern, 'i'); } catch { continue; }
+      if (re.test(tool_input.command)) {
+        return { rule: `bash.deny: ${pattern}`, reason: `Command matches a denied pattern (/${pattern}/)` };
+      }
+    }
+  }
+
+  if (WRITE_TOOLS.includes(tool_name)) {
+    const file = tool_input?.file_path || tool_input?.notebook_path || tool_input?.path;
+    if (file) {
+      const full = resolve(event.cwd || '', file).replace(/\\/g, '/');
+      for (const glob of policy.protectedPaths || []) {
+        if (globToRegExp(glob).test(full)) {
+          return { rule: `protectedPaths: ${glob}`, reason: `${file} is a protected path (${glob})` };
+        }
+      }
+    }
+  }
+
+  if (policy.blockOnBudgetExceeded) {
+    const ss = sessions.get(event.session_id || 'unknown');
+    const statuses = ss ? sessionBudgetStatus(ss) : budgetStatus('day', dayKey(), 'today');
+    const over = statuses.find(b => b.level === 'exceeded');
+    if (over) {
+      const fmt = v => over.metric === 'cost' ? `$${v.toFixed(2)}` : `${Math.round(v)} tokens`;
+      return { rule: `budget: ${over.scope}.${over.metric}`, reason: `${over.scope} ${over.metric} budget exceeded (${fmt(over.used)} of ${fmt(over.limit)})` };
+    }
+  }
+  return null;
+}
+
+// ─── Permission Requests ───────────────────────────────────────────────────────
+// The PermissionRequest hook registers a pending prompt and long-polls for a
+// decision made on the dashboard. Unanswered requests expire and the hook falls
+// back to the normal terminal prompt. Resolved requests linger briefly so a
+// late poll still sees the decision.
+const permissions = new Map(); // id -> { id, sessionId, agentId, toolCallId, tool, input, createdAt, expiresAt, decision, message, resolvedAt }
+const permissionWaits = new Map(); // id -> { timer, secret, waiters: [{ res, owner }] }
+let permissionCounter = 0;
+
+function permissionTimeout() {
+  const secs = Number(config.permissions?.timeoutSeconds) || 30;
+  return Math.min(Math.max(secs, 5), 110) * 1000; // hooks.json gives the hook 120s
+}
+
+function pendingPermissions() {
+  return [...permissions.values()].filter(p => !p.decision);
+}
+
+// Returns the new request plus the secret its hook waits with, or null when
+// nobody could answer it
+function registerPermission(event) {
+  const ss = sessions.get(event.session_id || 'unknown');
+  const agent = ss ? resolveAgent(ss, event) : null;
+  if (!agent) return null;
+  const toolCall = [...agent.toolCalls].reverse().find(tc => tc.status === 'executing' && tc.tool === event.tool_name);
+  const now = Date.now();
+  const p = {
+    id: `perm-${now.toString(36)}-${++permissionCounter}`,
+    sessionId: ss.session.id,
+    agentId: agent.id,
+    toolCallId: toolCall?.id || null,
+    tool: event.tool_name || null,
+    input: summarizeInput(event.tool_name, event.tool_input),
+    createdAt: now,
+    expiresAt: now + permissionTimeout(),
+    decision: null
+  };
+  permissions.set(p.id, p);
+  const secret = randomUUID();
+  permissionWaits.set(p.id, { timer: setTimeout(() => resolvePermission(p.id, 'timeout'), p.expiresAt - now), secret, waiters: [] });
+  markSection('permissions');
+  publishState({ type: 'permission_request', permission: p });
+  return { ...p, secret };
+}
+
+// decision: 'allow' | 'deny' from the dashboard, 'timeout' or 'cancelled' otherwise
+function resolvePermission(id, decision, message) {
+  const p = permissions.get(id);
+  if (!p || p.decision) return null;
+  p.decision = decision;
+  p.message = message || null;
+  p.resolvedAt = Date.now();
+  const wait = permissionWaits.get(id);
+  permissionWaits.delete(id);
+  if (wait) {
+    clearTimeout(wait.timer);
+    for (const { res } of wait.waiters) { try { res.json(p); } catch {} }
+  }
+  setTimeout(() => permissions.delete(id), 60000);
+  markSection('permissions');
+  publishState({ type: 'permission_resolved', permission: p });
+  return p;
+}
+
+// ─── Annotations ───────────────────────────────────────────────────────────────
+// Structured notes the agent posts about its own work (monikhao_* MCP tools):
+// a goal with optional steps, milestones, and progress. They annotate the
+// timeline, the agent orb and the history entry.
+const ANNOTATION_KINDS = ['milestone', 'goal', 'progress'];
+
+// Validate a POST /api/annotations body. Returns { error } or the annotation fields.
+function parseAnnotation(body) {
+  const { kind } = body || {};
+  if (!ANNOTATION_KINDS.includes(kind)) return { error: `kind must be one of ${ANNOTATION_KINDS.join(', ')}` };
+  const str = (v, max) => typeof v === 'string' && v.trim() ? truncate(v.trim(), max) : null;
+  if (kind === 'milestone') {
+    const label = str(body.label, 80);
+    if (!label) return { error: 'milestone needs a label' };
+    return { kind, label, detail: str(body.detail, 500) };
+  }
+  if (kind === 'goal') {
+    const goal = str(body.goal, 200);
+    if (!goal) return { error: 'goal needs a goal' };
+    if (body.steps != null && !Array.isArray(body.steps)) return { error: 'steps must be an array of strings' };
+    const steps = (body.steps || []).map(st => str(st, 120)).filter(Boolean).slice(0, 20);
+    return { kind, goal, steps };
+  }
+  let ratio;
+  if (body.percent != null) ratio = Number(body.percent) / 100;
+  else if (body.completed != null && Number(body.total) > 0) ratio = Number(body.completed) / Number(body.total);
+  if (!Number.isFinite(ratio)) return { error: 'progress needs percent (0-100) or completed and total' };
+  const out = { kind, ratio: Math.max(0, Math.min(1, ratio)), note: str(body.note, 200) };
+  if (body.completed != null && body.total != null) { out.completed = Number(body.completed); out.total = Number(body.total); }
+  return out;
+}
+
+// Is cwd the session's project folder or inside it?
+function isInProject(ss, cwd) {
+  const project = ss.session.project;
+  return !!project && (cwd === project || cwd.startsWith(project.replace(/[\\/]+$/, '') + sep));
+}
+
+// Session an annotation belongs to: the named one, else the only live session,
+// narrowed to the caller's project when it sends its cwd. Several candidates are
+// an error, not a guess: one agent must not annotate another's session.
+// Returns { ss } or { status, error }.
+function annotationSession(sessionId, cwd) {
+  if (sessionId) {
+    const ss = getSession(sessionId);
+    return ss ? { ss } : { status: 404, error: `Unknown session ${sessionId}` };
+  }
+  const live = [...sessions.values()].filter(ss => ss.session.status === 'active');
+  const local = cwd ? live.filter(ss => isInProject(ss, cwd)) : [];
+  const candidates = local.length ? local : live;
+  if (!candidates.length) return { status: 404, error: 'No active session to annotate' };
+  if (candidates.length > 1) {
+    return { status: 409, error: `${candidates.length} sessions are active (${candidates.map(ss => ss.session.id).join(', ')}); pass session_id` };
+  }
+  return { ss: candidates[0] };
+}
+
+function applyAnnotation(ss, agent, event) {
+  const ann = ss.annotations || (ss.annotations = { goal: null, milestones: [], progress: null });
+  const at = event.timestamp;
+  if (event.kind === 'milestone') {
+    const m = { label: event.label, detail: event.detail || null, agentId: agent.id, at };
+    ann.milestones.push(m);
+    if (ann.milestones.length > 100) ann.milestones.shift();
+    addTimelineEvent(ss, at, 'milestone', agent.id, { label: m.label, detail: m.detail });
+  } else if (event.kind === 'goal') {
+    agent.goal = { text: event.goal, steps: event.steps || [], at };
+    ann.goal = { ...agent.goal, agentId: agent.id };
+    agent.progress = null; // A new goal starts from zero
+    addTimelineEvent(ss, at, 'goal', agent.id, { label: event.goal, steps: agent.goal.steps });
+  } else if (event.kind === 'progress') {
+    agent.progress = { ratio: event.ratio, completed: event.completed ?? null, total: event.total ?? null, note: event.note || null, at };
+    ann.progress = { ...agent.progress, agentId: agent.id };
+    addTimelineEvent(ss, at, 'progress', agent.id, { ratio: event.ratio, note: event.note || null });
+  }
+}
+
+function hasAnnotations(ss) {
+  const ann = ss.annotations;
+  return !!(ann && (ann.goal || ann.milestones.length || ann.progress));
+}
+
 // ─── Summarization ─────────────────────────────────────────────────────────────
 function summarizeInput(toolName, input) {
   if (!input) return null;
@@ -514,107 +1392,650 @@ function truncate(str, max) {
 }
 
 // ─── Public State (aggregated across all sessions) ──────────────────────────
-function getPublicState() {
-  const allAgents = [];
-  const allTimeline = [];
-  const allFiles = [];
+const TIMELINE_WINDOW = 500; // Most recent timeline entries sent to clients
+const FILES_WINDOW = 50;     // Most recently seen files sent to clients
+
+function publicAgent(ss, a) {
+  return { ...a, sessionId: ss.session.id, source: a.source || ss.session.source || 'unknown', toolCalls: a.toolCalls.slice(-50), ...(a.turns ? { turns: a.turns.slice(-50) } : {}) };
+}
+
+function publicAgentIds() {
+  const ids = [];
+  for (const ss of sessions.values()) for (const a of ss.agents) ids.push(a.id);
+  return ids;
+}
+
+function publicFiles() {
+  const all = [];
+  for (const ss of sessions.values()) for (const f of ss.files.values()) all.push(f);
+  return all.slice(-FILES_WINDOW);
+}
+
+function publicTimeline() {
+  const all = [];
+  for (const ss of sessions.values()) all.push(...ss.timeline);
+  return all.sort((a, b) => a.timestamp - b.timestamp).slice(-TIMELINE_WINDOW);
+}
+
+function publicSessions() {
+  const list = [...sessions.values()].map(ss => ss.session);
+  return { sessions: list, session: list.find(s => s.status === 'active') || list[list.length - 1] || null };
+}
+
+function publicHistory() {
+  return sessionHistory.map(historyWithCost).reverse();
+}
+
+function publicStats() {
   // Start with carry-over from deleted sessions
-  let totalToolCalls = carryOverStats.toolCalls;
-  let totalFilesAccessed = carryOverStats.filesAccessed;
-  let totalEstimatedTokens = carryOverStats.estimatedTokens;
-  let totalLinesAdded = carryOverStats.linesAdded;
-  let totalLinesRemoved = carryOverStats.linesRemoved;
-  let totalTurns = carryOverStats.turns;
-  let totalErrors = carryOverStats.errors;
-  let totalActiveTools = 0;
+  const totals = { ...carryOverStats };
+  let agentCount = 0, activeAgents = 0, activeTools = 0, activeSessionCount = 0;
   let earliestStart = null;
-  const sessionList = [];
+  // Tool breakdown: count calls per tool name (over the calls clients are sent)
+  const toolBreakdown = {};
 
-  for (const [sid, ss] of sessions) {
-    sessionList.push(ss.session);
-    for (const a of ss.agents) {
-      allAgents.push({ ...a, sessionId: ss.session.id, source: a.source || ss.session.source || 'unknown', toolCalls: a.toolCalls.slice(-50) });
-    }
-    allTimeline.push(...ss.timeline);
-    for (const f of ss.files.values()) allFiles.push(f);
-    totalToolCalls += ss.stats.toolCalls;
-    totalFilesAccessed += ss.stats.filesAccessed;
-    totalEstimatedTokens += ss.stats.estimatedTokens || 0;
-    totalLinesAdded += ss.stats.linesAdded || 0;
-    totalLinesRemoved += ss.stats.linesRemoved || 0;
-    totalTurns += ss.stats.turns || 0;
-    totalErrors += ss.stats.errors || 0;
-    totalActiveTools += ss.pendingToolCalls.size;
+  for (const ss of sessions.values()) {
+    for (const k of Object.keys(totals)) totals[k] += k === 'cost' ? sessionCost(ss.stats, ss.session.model) : ss.stats[k] || 0;
+    activeTools += ss.pendingToolCalls.size;
+    if (ss.session.status === 'active') activeSessionCount++;
     if (ss.stats.startedAt && (!earliestStart || ss.stats.startedAt < earliestStart)) {
       earliestStart = ss.stats.startedAt;
     }
+    for (const a of ss.agents) {
+      agentCount++;
+      if (a.status === 'active') activeAgents++;
+      for (const tc of a.toolCalls.slice(-50)) {
+        const t = tc.tool || 'unknown';
+        if (!toolBreakdown[t]) toolBreakdown[t] = { calls: 0, errors: 0 };
+        toolBreakdown[t].calls++;
+        if (tc.status === 'error') toolBreakdown[t].errors++;
+      }
+    }
   }
 
-  allTimeline.sort((a, b) => a.timestamp - b.timestamp);
+  return {
+    ...totals,
+    startedAt: earliestStart,
+    agentCount,
+    activeAgents,
+    activeTools,
+    sessionCount: sessions.size,
+    activeSessionCount,
+    toolBreakdown
+  };
+}
 
-  // Tool breakdown: count calls per tool name
-  const toolBreakdown = {};
-  for (const agent of allAgents) {
-    for (const tc of (agent.toolCalls || [])) {
-      const t = tc.tool || 'unknown';
-      if (!toolBreakdown[t]) toolBreakdown[t] = { calls: 0, errors: 0 };
-      toolBreakdown[t].calls++;
-      if (tc.status === 'error') toolBreakdown[t].errors++;
+function getPublicState() {
+  const agents = [];
+  for (const ss of sessions.values()) for (const a of ss.agents) agents.push(publicAgent(ss, a));
+  return {
+    ...publicSessions(),
+    agents,
+    timeline: publicTimeline(),
+    files: publicFiles(),
+    stats: publicStats(),
+    budgets: getBudgetStatus(),
+    permissions: pendingPermissions(),
+    config,
+    history: publicHistory()
+  };
+}
+
+// Archived + live sessions with their stats (live ones priced on the fly), oldest first
+function sessionSummaries() {
+  const live = [...sessions.values()].map(ss => ({
+    id: ss.session.id, source: ss.session.source, model: ss.session.model, status: ss.session.status,
+    project: ss.session.project || null, startedAt: ss.session.startedAt, endedAt: ss.session.endedAt || null,
+    stats: { ...ss.stats, cost: sessionCost(ss.stats, ss.session.model) }, agentCount: ss.agents.length,
+    annotations: hasAnnotations(ss) ? ss.annotations : undefined,
+    context: contextSummary(ss.agents.find(a => a.type === 'main'))
+  }));
+  const archived = sessionHistory.map(historyWithCost).map(h => ({ ...h, status: 'archived' }));
+  return [...archived, ...live];
+}
+
+// ─── Persistence ─────────────────────────────────────────────────────────────
+// Every ingested event is appended to a per-day JSONL segment under
+// ~/.monikhao/events/, and the in-memory state is snapshotted periodically.
+// On startup the snapshot is loaded and any events logged after it are
+// replayed, so sessions, history and carry-over counters survive restarts.
+const PERSISTENCE = config.persistence || {};
+const PERSIST_ENABLED = PERSISTENCE.enabled !== false;
+const EVENTS_DIR = join(DATA_DIR, 'events');
+const SNAPSHOT_PATH = join(DATA_DIR, 'snapshot.json');
+const RETENTION_DAYS = PERSISTENCE.retentionDays || 30;
+const SNAPSHOT_INTERVAL = (PERSISTENCE.snapshotIntervalSeconds || 30) * 1000;
+if (PERSIST_ENABLED) { try { mkdirSync(EVENTS_DIR, { recursive: true }); } catch {} }
+
+let eventSeq = 0;       // Sequence number of the last event written to the log (only persisted events get one)
+let stateDirty = false; // Set whenever state changes; cleared by saveSnapshot()
+let replaying = false;  // True while logged events are re-processed (restore or replay build)
+
+function segmentName(ts) { return new Date(ts).toISOString().slice(0, 10) + '.jsonl'; }
+
+function listSegments() {
+  try { return readdirSync(EVENTS_DIR).filter(f => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(f)).sort(); } catch { return []; }
+}
+
+// Log lines start with their seq, so entries at or before `afterSeq` are skipped unparsed
+const SEQ_PREFIX = /^\{"seq":(\d+),/;
+
+function readSegment(name, afterSeq = 0) {
+  const entries = [];
+  let raw = '';
+  try { raw = readFileSync(join(EVENTS_DIR, name), 'utf8'); } catch { return entries; }
+  for (const line of raw.split('\n')) {
+    if (!line) continue;
+    if (afterSeq) { const m = SEQ_PREFIX.exec(line); if (m && Number(m[1]) <= afterSeq) continue; }
+    try { entries.push(JSON.parse(line)); } catch {} // Skip a torn final line after a crash
+  }
+  return entries;
+}
+
+// Seq of a segment's first entry (read from its first bytes), or null if it is empty
+const segmentFirstSeqs = new Map();
+function segmentFirstSeq(name) {
+  if (segmentFirstSeqs.has(name)) return segmentFirstSeqs.get(name);
+  let head = '';
+  try {
+    const fd = openSync(join(EVENTS_DIR, name), 'r');
+    try {
+      const buf = Buffer.alloc(64);
+      head = buf.toString('utf8', 0, readSync(fd, buf, 0, buf.length, 0));
+    } finally { closeSync(fd); }
+  } catch {}
+  const m = SEQ_PREFIX.exec(head);
+  if (!m) return null;
+  segmentFirstSeqs.set(name, Number(m[1]));
+  return Number(m[1]);
+}
+
+// The event is logged as received (restore and replay re-process it); the
+// attribution processEvent() added is kept beside it for the event stream.
+// Returns the event's seq, or null if it wasn't persisted (so no cursor points
+// at an event that can't be read back).
+function appendEventLog(event, attribution) {
+  stateDirty = true;
+  if (!PERSIST_ENABLED) return null;
+  const seq = eventSeq + 1;
+  const entry = attribution && Object.keys(attribution).length ? { seq, event, attribution } : { seq, event };
+  try { appendFileSync(join(EVENTS_DIR, segmentName(Date.now())), JSON.stringify(entry) + '\n'); } catch { return null; }
+  eventSeq = seq;
+  return seq;
+}
+
+// Maps (files, pendingToolCalls) don't survive JSON.stringify — tag them
+function mapReplacer(key, value) { return value instanceof Map ? { $map: [...value] } : value; }
+function mapReviver(key, value) { return value && Array.isArray(value.$map) ? new Map(value.$map) : value; }
+
+// Written only when something changed since the last one: a snapshot holds
+// every session's full timeline, so idle ticks must not rewrite it
+function saveSnapshot() {
+  if (!PERSIST_ENABLED || !stateDirty) return;
+  const snapshot = {
+    version: 1,
+    savedAt: Date.now(),
+    seq: eventSeq,
+    agentIdCounter,
+    carryOverStats,
+    sessionHistory,
+    budgetLedger,
+    budgetAlerts,
+    sessions: [...sessions.values()]
+  };
+  try {
+    writeFileSync(SNAPSHOT_PATH + '.tmp', JSON.stringify(snapshot, mapReplacer));
+    renameSync(SNAPSHOT_PATH + '.tmp', SNAPSHOT_PATH);
+    stateDirty = false;
+  } catch (e) {
+    process.stderr.write(`[monikhao] Snapshot failed: ${e.message}\n`);
+  }
+}
+
+function restoreState() {
+  if (!PERSIST_ENABLED) return;
+  let snapshot = null;
+  try { snapshot = JSON.parse(readFileSync(SNAPSHOT_PATH, 'utf8'), mapReviver); } catch {}
+  if (snapshot) {
+    eventSeq = snapshot.seq || 0;
+    agentIdCounter = snapshot.agentIdCounter || 0;
+    Object.assign(carryOverStats, snapshot.carryOverStats || {});
+    sessionHistory.push(...(snapshot.sessionHistory || []));
+    Object.assign(budgetLedger, snapshot.budgetLedger || {});
+    for (const [k, v] of snapshot.budgetAlerts || []) budgetAlerts.set(k, v);
+    for (const ss of snapshot.sessions || []) {
+      sessions.set(ss.session.id, ss);
+      for (const a of ss.agents) { if (a.type === 'main') usedNames.add(a.name); }
     }
   }
 
-  return {
-    sessions: sessionList,
-    session: sessionList.find(s => s.status === 'active') || sessionList[sessionList.length - 1] || null,
-    agents: allAgents,
-    timeline: allTimeline.slice(-500),
-    files: allFiles.slice(-50),
-    stats: {
-      toolCalls: totalToolCalls,
-      filesAccessed: totalFilesAccessed,
-      startedAt: earliestStart,
-      agentCount: allAgents.length,
-      activeAgents: allAgents.filter(a => a.status === 'active').length,
-      estimatedTokens: totalEstimatedTokens,
-      linesAdded: totalLinesAdded,
-      linesRemoved: totalLinesRemoved,
-      turns: totalTurns,
-      errors: totalErrors,
-      activeTools: totalActiveTools,
-      sessionCount: sessions.size,
-      activeSessionCount: sessionList.filter(s => s.status === 'active').length,
-      toolBreakdown
-    },
-    config,
-    history: sessionHistory.slice().reverse()
+  // Replay events logged after the snapshot (crash / kill -9 recovery).
+  // Anything with seq > snapshot.seq was appended after savedAt, so older segments can be skipped.
+  const fromSegment = snapshot ? segmentName(snapshot.savedAt) : '';
+  let replayed = 0;
+  replaying = true;
+  try {
+    for (const name of listSegments()) {
+      if (name < fromSegment) continue;
+      for (const entry of readSegment(name)) {
+        if (!entry.seq || entry.seq <= eventSeq) continue;
+        eventSeq = entry.seq;
+        try { processEvent(entry.event); replayed++; } catch {}
+      }
+    }
+  } finally {
+    replaying = false;
+  }
+  if (replayed) stateDirty = true;
+
+  pruneRetention();
+  process.stderr.write(`[monikhao] Restored ${sessions.size} session(s), ${sessionHistory.length} history entries, replayed ${replayed} event(s)\n`);
+}
+
+// Drop event segments and history entries older than the retention window
+function pruneRetention() {
+  const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const cutoffSegment = segmentName(cutoff);
+  for (const name of listSegments()) {
+    if (name < cutoffSegment) { try { unlinkSync(join(EVENTS_DIR, name)); } catch {} }
+  }
+  const before = sessionHistory.length;
+  for (let i = sessionHistory.length - 1; i >= 0; i--) {
+    if ((sessionHistory[i].endedAt || 0) < cutoff) sessionHistory.splice(i, 1);
+  }
+  if (sessionHistory.length !== before) { stateDirty = true; markSection('history'); }
+  const cutoffDay = dayKey(cutoff);
+  for (const day of Object.keys(budgetLedger.days)) {
+    if (day < cutoffDay) { delete budgetLedger.days[day]; stateDirty = true; }
+  }
+  // Forget old alerts so a still-exceeded project/day budget is re-announced occasionally
+  for (const [key, at] of budgetAlerts) {
+    if (at < Date.now() - 2 * 24 * 60 * 60 * 1000) budgetAlerts.delete(key);
+  }
+}
+
+if (PERSIST_ENABLED) setInterval(saveSnapshot, SNAPSHOT_INTERVAL).unref();
+setInterval(pruneRetention, 60 * 60 * 1000).unref();
+
+// Fields processEvent() stamps on an event: which agent and tool call it hit
+const ATTRIBUTION_FIELDS = ['agentId', 'toolCallId', 'isError', 'completedAgentId'];
+
+function eventAttribution(event) {
+  const attribution = {};
+  for (const k of ATTRIBUTION_FIELDS) { if (event[k] !== undefined) attribution[k] = event[k]; }
+  return attribution;
+}
+
+// Single entry point for new events: apply to state, then log and stream it
+// (even if processing threw, so the log and live consumers see the same events)
+// Every live event enters here: spool, HTTP and worker-made (policy, annotations)
+function ingestEvent(event) {
+  if (event.timestamp == null) event.timestamp = Date.now();
+  redactEvent(event);
+  if (event.phase === 'user_prompt') capturePrompt(event);
+  const received = { ...event };
+  try {
+    processEvent(event);
+  } finally {
+    streamEvent(appendEventLog(received, eventAttribution(event)), event);
+  }
+}
+
+// ─── Offline Spool ─────────────────────────────────────────────────────────────
+// Hooks append events they could not deliver to ~/.monikhao/spool.jsonl. On
+// startup the spool is ingested in timestamp order, skipping event_ids already
+// in the log (a timed-out POST may have landed anyway). The file is renamed
+// before reading so hooks running meanwhile start a fresh spool.
+const SPOOL_PATH = join(DATA_DIR, 'spool.jsonl');
+
+// event_ids logged since `fromTs` (segments are named by ingestion day)
+function loggedEventIds(fromTs) {
+  const ids = new Set();
+  const first = segmentName(fromTs);
+  for (const name of listSegments()) {
+    if (name < first) continue;
+    for (const entry of readSegment(name)) {
+      if (entry.event?.event_id) ids.add(entry.event.event_id);
+    }
+  }
+  return ids;
+}
+
+function drainSpool() {
+  try { renameSync(SPOOL_PATH, `${SPOOL_PATH}.${Date.now()}.draining`); } catch {}
+  let files = [];
+  try { files = readdirSync(DATA_DIR).filter(f => /^spool\.jsonl\.\d+\.draining$/.test(f)); } catch {}
+  if (!files.length) return;
+
+  const events = [];
+  for (const f of files) {
+    let raw = '';
+    try { raw = readFileSync(join(DATA_DIR, f), 'utf8'); } catch {}
+    for (const line of raw.split('\n')) {
+      if (!line) continue;
+      try { events.push(JSON.parse(line)); } catch {} // Torn line from a killed hook
+    }
+  }
+  events.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+  const seen = events.length ? loggedEventIds(events[0].timestamp || 0) : new Set();
+  let drained = 0, duplicates = 0, invalid = 0;
+  for (const event of events) {
+    if (event.event_id) {
+      if (seen.has(event.event_id)) { duplicates++; continue; }
+      seen.add(event.event_id);
+    }
+    if (validateEvent(event).length) { invalid++; continue; }
+    try { ingestEvent(event); drained++; } catch {}
+  }
+  for (const f of files) { try { unlinkSync(join(DATA_DIR, f)); } catch {} }
+  process.stderr.write(`[monikhao] Drained ${drained} spooled event(s) (${duplicates} duplicate, ${invalid} invalid)\n`);
+}
+
+// ─── Session Replay ──────────────────────────────────────────────────────────
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Read every logged event for one session. The time window (if known) limits
+// which daily segments are scanned; a day of slack covers clock/UTC skew.
+function readSessionEvents(sessionId, fromTs, toTs) {
+  const first = fromTs ? segmentName(fromTs - DAY_MS) : '';
+  const last = toTs ? segmentName(toTs + DAY_MS) : '\uffff';
+  const events = [];
+  for (const name of listSegments()) {
+    if (name < first || name > last) continue;
+    for (const entry of readSegment(name)) {
+      if (entry.event && (entry.event.session_id || 'unknown') === sessionId) events.push(entry.event);
+    }
+  }
+  // Drained spool events are logged late; put them back in place
+  return events.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+}
+
+// Logged events matching the stream filters (source/session/tool/type) and a
+// case-insensitive text query `q`, newest first
+function searchEvents(query) {
+  const filters = parseStreamFilters(query);
+  const text = String(query.q || '').toLowerCase();
+  const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), 500);
+  const matches = [];
+  for (const name of listSegments().reverse()) {
+    for (const entry of readSegment(name).reverse()) {
+      if (!entry.event) continue;
+      const event = normalizeStreamEvent(entry.seq, entry.event);
+      if (!matchesStreamFilters(event, filters)) continue;
+      if (text && !JSON.stringify(entry.event).toLowerCase().includes(text)) continue;
+      matches.push(event);
+      if (matches.length >= limit) return matches;
+    }
+  }
+  return matches;
+}
+
+function findSessionInfo(sessionId) {
+  const live = sessions.get(sessionId);
+  if (live) return { ...live.session, agentIdentities: live.agents.map(a => ({ name: a.name, color: a.color, shape: a.shape })) };
+  for (let i = sessionHistory.length - 1; i >= 0; i--) {
+    if (sessionHistory[i].id === sessionId) return sessionHistory[i];
+  }
+  return null;
+}
+
+// Re-run a session's events through processEvent() against an empty, isolated
+// store so the replay uses exactly the same attribution logic as live ingest.
+// Runs synchronously, so no live request can observe the swapped-out state.
+function buildReplay(sessionId, rawEvents, identities) {
+  const saved = {
+    sessions: [...sessions],
+    history: sessionHistory.slice(),
+    carryOver: { ...carryOverStats },
+    names: [...usedNames],
+    agentIdCounter,
+    ledger: JSON.stringify(budgetLedger)
+  };
+  sessions.clear();
+  usedNames.clear();
+  agentIdCounter = 0;
+  replaying = true;
+
+  const entries = [];   // [{ event, agentId, toolCallCount, stats }]
+  const keyframes = []; // [{ index, agents }] — emitted whenever the agent set/status changes
+  let lastKey = '';
+  try {
+    for (const raw of rawEvents) {
+      const event = { ...raw };
+      try { processEvent(event); } catch { continue; }
+      const ss = sessions.get(sessionId);
+      if (!ss) continue;
+      // Spawn order is deterministic, so the Nth replayed agent is the Nth original agent
+      ss.agents.forEach((a, i) => { if (identities && identities[i]) Object.assign(a, identities[i]); });
+      const agent = event.agentId ? ss.agents.find(a => a.id === event.agentId) : null;
+      entries.push({ event, agentId: event.agentId || null, toolCallCount: agent ? agent.toolCallCount : null, stats: { ...ss.stats, cost: sessionCost(ss.stats, ss.session.model) } });
+      const key = ss.agents.map(a => a.id + ':' + a.status).join(',');
+      if (key !== lastKey) {
+        lastKey = key;
+        // Tool calls are dropped — their startedAt would read as "awaiting" against the wall clock
+        keyframes.push({ index: entries.length - 1, agents: ss.agents.map(a => ({ ...a, toolCalls: [] })) });
+      }
+    }
+  } finally {
+    replaying = false;
+    sessions.clear();
+    for (const [id, ss] of saved.sessions) sessions.set(id, ss);
+    sessionHistory.length = 0;
+    sessionHistory.push(...saved.history);
+    Object.assign(carryOverStats, saved.carryOver);
+    usedNames.clear();
+    for (const n of saved.names) usedNames.add(n);
+    agentIdCounter = saved.agentIdCounter;
+    Object.assign(budgetLedger, JSON.parse(saved.ledger));
+  }
+  return { entries, keyframes };
+}
+
+// ─── Event Stream (SSE / NDJSON) ──────────────────────────────────────────────
+// /api/stream and /api/stream.ndjson push every ingested event, as processEvent()
+// annotated it, to non-browser consumers. Each carries the event log `seq`;
+// passing it back as `since` (or SSE Last-Event-ID) replays the logged events
+// after it before going live, so a reconnecting consumer misses nothing.
+const STREAM_FILTERS = { source: 'source', session: 'session_id', tool: 'tool_name', type: 'phase' };
+const STREAM_MAX_BUFFERED = 1024 * 1024; // Cut off consumers this far behind; they resume with `since`
+const STREAM_MAX_BACKLOG = 10000;        // Newest logged events replayed for `since`; older ones are skipped
+const streamSubscribers = new Set(); // { res, format, filters }
+
+// Query filters: comma-separated values per field, e.g. ?type=pre,post&tool=Bash
+function parseStreamFilters(query) {
+  const filters = {};
+  for (const [param, field] of Object.entries(STREAM_FILTERS)) {
+    if (query[param]) filters[field] = new Set(String(query[param]).split(',').map(v => v.trim()).filter(Boolean));
+  }
+  return filters;
+}
+
+function normalizeStreamEvent(seq, event) {
+  return { seq, ...event, session_id: event.session_id || 'unknown', source: detectSource(event) };
+}
+
+function matchesStreamFilters(event, filters) {
+  for (const [field, values] of Object.entries(filters)) {
+    if (!values.has(String(event[field] ?? ''))) return false;
+  }
+  return true;
+}
+
+function writeStreamEvent(sub, event) {
+  const json = JSON.stringify(event);
+  // Unpersisted events have no seq, so SSE doesn't move the client's Last-Event-ID
+  if (sub.format === 'sse') sub.res.write(`${event.seq == null ? '' : `id: ${event.seq}\n`}event: ${event.phase || 'event'}\ndata: ${json}\n\n`);
+  else sub.res.write(json + '\n');
+}
+
+function streamEvent(seq, event) {
+  if (!streamSubscribers.size) return;
+  const normalized = normalizeStreamEvent(seq, event);
+  for (const sub of streamSubscribers) {
+    if (!matchesStreamFilters(normalized, sub.filters)) continue;
+    if (sub.res.writableLength > STREAM_MAX_BUFFERED) { sub.res.end(); streamSubscribers.delete(sub); continue; }
+    writeStreamEvent(sub, normalized);
+  }
+}
+
+// Logged events with seq > since (only what retention and persistence kept,
+// at most STREAM_MAX_BACKLOG), attributed as they were when streamed live.
+// Segments hold ascending seqs, so one is skipped when the next starts at or before since + 1.
+function loggedEventsSince(since) {
+  const names = listSegments();
+  const events = [];
+  names.forEach((name, i) => {
+    const nextFirst = i + 1 < names.length ? segmentFirstSeq(names[i + 1]) : null;
+    if (nextFirst !== null && nextFirst <= since + 1) return;
+    for (const entry of readSegment(name, since)) {
+      if (entry.seq > since && entry.event) events.push(normalizeStreamEvent(entry.seq, { ...entry.event, ...entry.attribution }));
+    }
+    if (events.length > STREAM_MAX_BACKLOG) events.splice(0, events.length - STREAM_MAX_BACKLOG);
+  });
+  events.sort((a, b) => a.seq - b.seq);
+  return events.length > STREAM_MAX_BACKLOG ? events.slice(-STREAM_MAX_BACKLOG) : events;
+}
+
+function openStream(req, res, format) {
+  const sinceRaw = req.query.since ?? req.get('Last-Event-ID');
+  const since = sinceRaw === undefined || sinceRaw === '' ? null : Number(sinceRaw);
+  if (since !== null && !(Number.isInteger(since) && since >= 0)) return res.status(400).json({ error: 'since must be a non-negative integer seq' });
+
+  res.writeHead(200, {
+    'Content-Type': format === 'sse' ? 'text/event-stream' : 'application/x-ndjson',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+    // Where the log stood on connect: a client that came in live resumes from here
+    'X-Monikhao-Seq': String(eventSeq)
+  });
+  res.flushHeaders(); // A quiet NDJSON stream would otherwise hold them back
+  const sub = { res, format, filters: parseStreamFilters(req.query) };
+  if (format === 'sse') res.write(`retry: 3000\n: monikhao seq ${eventSeq}\n\n`);
+
+  // The backlog is read synchronously, so no live event can slip in between it and subscribing
+  if (since !== null) {
+    for (const event of loggedEventsSince(since)) {
+      if (matchesStreamFilters(event, sub.filters)) writeStreamEvent(sub, event);
+    }
+  }
+  streamSubscribers.add(sub);
+
+  // Keep proxies from dropping a quiet SSE stream (NDJSON stays strictly one event per line)
+  const keepAlive = format === 'sse' ? setInterval(() => res.write(': keep-alive\n\n'), 15000) : null;
+  req.on('close', () => {
+    if (keepAlive) clearInterval(keepAlive);
+    streamSubscribers.delete(sub);
+  });
+}
+
+// ─── Authentication ────────────────────────────────────────────────────────────
+// config.auth.mode: 'remote' (default) trusts loopback clients and requires a
+// token from everyone else, 'all' requires it everywhere, 'off' disables auth.
+// Tokens live in ~/.monikhao/auth.json: admin may do anything, read may only
+// view (GET routes and the WebSocket). Browsers log in once and get a cookie.
+const authTokens = ensureTokens();
+const AUTH_COOKIE = 'monikhao_token';
+const PUBLIC_PATHS = ['/', '/app.js', '/state-sync.js', '/style.css', '/api/health', '/api/auth', '/api/login'];
+
+function isLoopback(req) {
+  const addr = req.socket.remoteAddress || '';
+  return addr === '127.0.0.1' || addr === '::1' || addr === '::ffff:127.0.0.1';
+}
+
+// A loopback peer is only trusted when it also addressed the worker by a loopback
+// name: a DNS-rebound page reaches 127.0.0.1 with its own domain in Host
+function isLocalHost(req) {
+  const port = req.socket.localPort;
+  return [`localhost:${port}`, `127.0.0.1:${port}`, `[::1]:${port}`].includes(String(req.headers.host || '').toLowerCase());
+}
+
+function requestToken(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  const cookie = (req.headers.cookie || '').split(';').map(c => c.trim()).find(c => c.startsWith(AUTH_COOKIE + '='));
+  return cookie ? decodeURIComponent(cookie.slice(AUTH_COOKIE.length + 1)) : null;
+}
+
+function tokenRole(token) {
+  const matches = secret => {
+    const a = Buffer.from(String(token || '')), b = Buffer.from(secret);
+    return a.length === b.length && timingSafeEqual(a, b);
   };
+  if (matches(authTokens.admin)) return 'admin';
+  if (matches(authTokens.read)) return 'read';
+  return null;
+}
+
+// 'admin', 'read', or null when unauthenticated
+function requestRole(req) {
+  const mode = config.auth?.mode || 'remote';
+  if (mode === 'off' || (mode === 'remote' && isLoopback(req) && isLocalHost(req))) return 'admin';
+  return tokenRole(requestToken(req));
+}
+
+// Browsers attach Origin to cross-site requests (reads included); a page on
+// another site must not ride on loopback trust or a login cookie
+function isCrossOrigin(req) {
+  if (!req.headers.origin) return false;
+  try { return new URL(req.headers.origin).host !== req.headers.host; } catch { return true; }
 }
 
 // ─── Express App ───────────────────────────────────────────────────────────────
 const app = express();
 app.use(express.json({ limit: '1mb' }));
+app.use((req, res, next) => {
+  if (isCrossOrigin(req)) return res.status(403).json({ error: 'Cross-origin request rejected' });
+  if (PUBLIC_PATHS.includes(req.path)) return next();
+  const role = requestRole(req);
+  if (!role) return res.status(401).json({ error: 'Authentication required' });
+  if (req.method !== 'GET' && role !== 'admin') return res.status(403).json({ error: 'Admin token required' });
+  next();
+});
 
 app.get('/', (req, res) => res.sendFile(join(WEB_DIR, 'index.html')));
 app.get('/app.js', (req, res) => res.type('application/javascript').sendFile(join(WEB_DIR, 'app.js')));
+app.get('/state-sync.js', (req, res) => res.type('application/javascript').sendFile(join(WEB_DIR, 'state-sync.js')));
 app.get('/style.css', (req, res) => res.type('text/css').sendFile(join(WEB_DIR, 'style.css')));
 app.get('/api/health', (req, res) => res.json({ status: 'ok', uptime: process.uptime() }));
+app.get('/api/auth', (req, res) => res.json({ mode: config.auth?.mode || 'remote', role: requestRole(req) }));
+app.post('/api/login', (req, res) => {
+  const token = String(req.body?.token || '').trim();
+  const role = tokenRole(token);
+  if (!role) return res.status(401).json({ error: 'Invalid token' });
+  res.setHeader('Set-Cookie', `${AUTH_COOKIE}=${encodeURIComponent(token)}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${30 * 86400}`);
+  res.json({ role });
+});
 app.get('/api/state', (req, res) => res.json(getPublicState()));
 app.get('/api/config', (req, res) => res.json(config));
-app.get('/api/history', (req, res) => res.json(sessionHistory.slice().reverse()));
+app.get('/api/history', (req, res) => res.json(sessionHistory.map(historyWithCost).reverse()));
+app.get('/api/budgets', (req, res) => res.json({ limits: config.budgets || {}, status: getBudgetStatus() }));
+app.get('/api/pricing', (req, res) => res.json({ model: config.pricing?.model || 'opus-4.6', discount: Number(config.pricing?.discount) || 0, models: getPricingTable() }));
+app.get('/api/sessions', (req, res) => res.json(sessionSummaries().reverse()));
+app.get('/api/sessions/:id/events', (req, res) => {
+  const info = findSessionInfo(req.params.id);
+  const events = readSessionEvents(req.params.id, info?.startedAt, info?.endedAt);
+  if (!info && events.length === 0) return res.status(404).json({ error: 'session not found' });
+  res.json({ session: info, events });
+});
+app.get('/api/sessions/:id/replay', (req, res) => {
+  const info = findSessionInfo(req.params.id);
+  const events = readSessionEvents(req.params.id, info?.startedAt, info?.endedAt);
+  if (events.length === 0) return res.status(404).json({ error: 'no events recorded for session' });
+  const { entries, keyframes } = buildReplay(req.params.id, events, info?.agentIdentities);
+  res.json({ session: info || { id: req.params.id }, entries, keyframes });
+});
 app.get('/api/export', (req, res) => {
   const state = getPublicState();
   res.setHeader('Content-Disposition', 'attachment; filename=monikhao-export.json');
   res.setHeader('Content-Type', 'application/json');
-  res.send(JSON.stringify({ exportedAt: new Date().toISOString(), sessions: state.sessions, agents: state.agents, stats: state.stats, history: sessionHistory, timeline: state.timeline }, null, 2));
+  res.send(JSON.stringify({ exportedAt: new Date().toISOString(), sessions: state.sessions, agents: state.agents, stats: state.stats, history: sessionHistory.map(historyWithCost), timeline: state.timeline }, null, 2));
 });
 app.get('/api/export/csv', (req, res) => {
-  const state = getPublicState();
-  const allSessions = [...sessionHistory, ...(state.sessions || []).map(s => {
-    const ss = sessions.get(s.id);
-    return ss ? { id: s.id, source: s.source, model: s.model, startedAt: s.startedAt, endedAt: s.endedAt || '', stats: ss.stats, agentCount: ss.agents.length } : null;
-  }).filter(Boolean)];
+  const allSessions = sessionSummaries();
 
-  const rows = [['Session ID','Source','Model','Started','Ended','Duration (s)','Tool Calls','Errors','Turns','Agents','Tokens','Lines Added','Lines Removed']];
+  const rows = [['Session ID','Source','Model','Started','Ended','Duration (s)','Tool Calls','Errors','Turns','Agents','Tokens','Lines Added','Lines Removed','Input Tokens','Output Tokens','Cache Read Tokens','Cache Write Tokens','Cost (USD)']];
   for (const h of allSessions) {
     const s = h.stats || {};
     const dur = h.startedAt && h.endedAt ? Math.round((h.endedAt - h.startedAt) / 1000) : '';
@@ -623,7 +2044,8 @@ app.get('/api/export/csv', (req, res) => {
       h.startedAt ? new Date(h.startedAt).toISOString() : '',
       h.endedAt ? new Date(h.endedAt).toISOString() : '',
       dur, s.toolCalls || 0, s.errors || 0, s.turns || 0,
-      h.agentCount || 0, s.estimatedTokens || 0, s.linesAdded || 0, s.linesRemoved || 0
+      h.agentCount || 0, s.estimatedTokens || 0, s.linesAdded || 0, s.linesRemoved || 0,
+      s.inputTokens || 0, s.outputTokens || 0, s.cacheReadTokens || 0, s.cacheWriteTokens || 0, (s.cost || 0).toFixed(4)
     ]);
   }
   const csv = rows.map(r => r.map(v => '"' + String(v).replace(/"/g, '""') + '"').join(',')).join('\n');
@@ -634,6 +2056,7 @@ app.get('/api/export/csv', (req, res) => {
 app.post('/api/config', (req, res) => {
   deepMerge(config, req.body);
   try { writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2) + '\n'); } catch {}
+  markSection('config', 'history'); // Pricing changes re-price history
   broadcast({ type: 'config_update', config });
   res.json({ status: 'ok', config });
 });
@@ -644,7 +2067,7 @@ app.post('/api/presets/:name', (req, res) => {
   const name = req.params.name;
   if (!name || name.length > 50) return res.status(400).json({ error: 'invalid name' });
   // Save current config (excluding server-only keys) as a preset
-  const { port, host, autoOpenBrowser, maxTimelineEvents, maxFileNodes, staleTimeout, ...visual } = config;
+  const { port, host, autoOpenBrowser, maxTimelineEvents, maxFileNodes, staleTimeout, promptIdleTimeout, maxHistory, capture, redaction, context, persistence, pricing, budgets, policy, permissions, auth, ...visual } = config;
   presets[name] = visual;
   savePresets();
   res.json({ status: 'ok', preset: name });
@@ -654,6 +2077,7 @@ app.post('/api/presets/:name/load', (req, res) => {
   if (!presets[name]) return res.status(404).json({ error: 'preset not found' });
   deepMerge(config, presets[name]);
   try { writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2) + '\n'); } catch {}
+  markSection('config');
   broadcast({ type: 'config_update', config });
   res.json({ status: 'ok', config });
 });
@@ -675,7 +2099,87 @@ function deepMerge(target, source) {
     }
   }
 }
-app.post('/api/events', (req, res) => { try { processEvent(req.body); res.json({ status: 'ok' }); } catch (e) { res.status(500).json({ error: e.message }); } });
+app.post('/api/events', (req, res) => {
+  const problems = validateEvent(req.body);
+  if (problems.length) return res.status(400).json({ error: 'Invalid event', problems });
+  try {
+    // Enforcing hooks ask for a decision; a blocked call is recorded instead of the pre
+    const block = req.query.policy ? evaluatePolicy(req.body) : null;
+    // Dry run (kmoni-ctl doctor): validated and decided, but nothing is recorded
+    if (req.query.dryRun) return res.json({ status: 'ok', dryRun: true, decision: block ? 'deny' : 'allow', ...block });
+    if (block) {
+      ingestEvent({ ...req.body, phase: 'policy_block', rule: block.rule, reason: block.reason });
+      return res.json({ status: 'ok', decision: 'deny', ...block });
+    }
+    ingestEvent(req.body);
+    res.json({ status: 'ok', decision: 'allow' });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Agent self-annotations (goal / milestone / progress), posted by the MCP server
+app.post('/api/annotations', (req, res) => {
+  const ann = parseAnnotation(req.body);
+  if (ann.error) return res.status(400).json({ error: ann.error });
+  const { ss, status, error } = annotationSession(req.body.session_id, typeof req.body.cwd === 'string' ? req.body.cwd : null);
+  if (!ss) return res.status(status).json({ error });
+  const event = { ...ann, phase: 'annotation', session_id: ss.session.id, source: ss.session.source, timestamp: Date.now() };
+  if (req.body.agent_id) event.agent_id = req.body.agent_id;
+  ingestEvent(event);
+  res.json({ status: 'ok', session_id: ss.session.id, agentId: event.agentId });
+});
+
+// Event schema POST /api/events and /api/events/batch validate against
+app.get('/api/schema', (req, res) => res.json({
+  version: SCHEMA_VERSION,
+  phases: EVENT_PHASES,
+  fields: EVENT_FIELDS,
+  redaction: { enabled: redactionEnabled(), fields: REDACTED_FIELDS }
+}));
+
+app.get('/api/events/search', (req, res) => res.json({ events: searchEvents(req.query) }));
+app.get('/api/stream', (req, res) => openStream(req, res, 'sse'));
+app.get('/api/stream.ndjson', (req, res) => openStream(req, res, 'ndjson'));
+
+// Dashboard approval for Claude Code permission prompts
+app.get('/api/permissions', (req, res) => res.json(pendingPermissions()));
+app.post('/api/permissions', (req, res) => {
+  // No dashboard that can answer (or disabled): let the terminal prompt appear right away
+  const answerable = [...clients].some(ws => ws.answersPermissions);
+  if (config.permissions?.enabled === false || !answerable) return res.json({ id: null });
+  const p = registerPermission(req.body || {});
+  res.json(p || { id: null });
+});
+app.get('/api/permissions/:id', (req, res) => {
+  const p = permissions.get(req.params.id);
+  if (!p) return res.status(404).json({ error: 'Unknown permission request' });
+  if (p.decision || !req.query.wait) return res.json(p);
+  // Long-poll until decided or expired. If the registering hook goes away first
+  // (answered in the terminal, or killed by Claude Code) the request is moot;
+  // only it knows the secret, so other pollers leaving never cancel it.
+  const wait = permissionWaits.get(p.id);
+  const owner = req.query.secret === wait.secret;
+  wait.waiters.push({ res, owner });
+  res.on('close', () => {
+    if (res.writableFinished) return;
+    wait.waiters = wait.waiters.filter(w => w.res !== res);
+    if (owner && !wait.waiters.some(w => w.owner)) resolvePermission(p.id, 'cancelled');
+  });
+});
+app.post('/api/permissions/:id', (req, res) => {
+  const { decision, message } = req.body || {};
+  if (decision !== 'allow' && decision !== 'deny') return res.status(400).json({ error: 'decision must be "allow" or "deny"' });
+  const p = permissions.get(req.params.id);
+  if (!p) return res.status(404).json({ error: 'Unknown permission request' });
+  if (p.decision) return res.status(409).json({ error: `Already resolved (${p.decision})`, permission: p });
+  res.json(resolvePermission(p.id, decision, message));
+});
+
+app.post('/api/events/batch', (req, res) => {
+  const events = Array.isArray(req.body) ? req.body : req.body?.events;
+  if (!Array.isArray(events)) return res.status(400).json({ error: 'Expected an array of events (or { events: [...] })' });
+  const results = ingestBatch(events);
+  res.json({ status: 'ok', accepted: results.filter(r => r.status === 'ok').length, results });
+});
 app.post('/api/voice-command', (req, res) => {
   const { transcript, timestamp } = req.body;
   if (transcript) {
@@ -690,14 +2194,16 @@ app.post('/api/admin/disconnect', (req, res) => {
   const source = (req.query.source || req.body?.source || '').toLowerCase();
   if (!source) return res.status(400).json({ error: 'source required' });
   let removed = 0;
-  for (const [id, ss] of sessions) {
+  for (const ss of sessions.values()) {
     if ((ss.session.source || '').toLowerCase() === source) {
-      for (const a of ss.agents) { if (a.type === 'main') usedNames.delete(a.name); }
-      sessions.delete(id);
+      removeSession(ss);
       removed++;
     }
   }
-  if (removed) broadcast({ type: 'state_update', state: getPublicState() });
+  if (removed) {
+    stateDirty = true;
+    publishState({ type: 'state_update' });
+  }
   res.json({ status: 'ok', removed });
 });
 
@@ -715,15 +2221,172 @@ const server = createServer(app);
 const wss = new WebSocketServer({ server });
 const clients = new Set();
 
-wss.on('connection', (ws) => {
-  clients.add(ws);
+wss.on('connection', (ws, req) => {
+  if (isCrossOrigin(req)) return ws.close(4403, 'Cross-origin connection rejected');
+  const role = requestRole(req);
+  if (!role) return ws.close(4401, 'Authentication required');
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  // ?protocol=1 keeps the old behaviour of a full state on every message
+  ws.protocolVersion = params.get('protocol') === '1' ? 1 : PROTOCOL_VERSION;
+  // Only an admin browser dashboard shows Approve/Deny (read-only viewers can't answer)
+  ws.answersPermissions = role === 'admin' && params.get('client') === 'dashboard';
   // Dashboard connected — cancel any pending idle shutdown
   if (idleShutdownTimer) { clearTimeout(idleShutdownTimer); idleShutdownTimer = null; }
-  ws.send(JSON.stringify({ type: 'init', state: getPublicState() }));
+  sendSnapshot(ws, 'init');
+  clients.add(ws); // after the snapshot, so the first message it gets is init
+  ws.on('message', (data) => {
+    let msg;
+    try { msg = JSON.parse(data); } catch { return; }
+    if (msg.type === 'resync') sendSnapshot(ws, 'state_update');
+  });
   ws.on('close', () => clients.delete(ws));
   ws.on('error', () => clients.delete(ws));
 });
 
+// ─── State Sync (protocol v2) ──────────────────────────────────────────────────
+// State-bearing messages carry a sequence number and either a full `state`
+// (on connect, resync, or after a client was skipped for backpressure) or a
+// `patch` against the state at seq - 1. Clients that see a gap send
+// { type: 'resync' }. Patches are built from the changes recorded by the mark*
+// helpers as state is mutated, not by diffing whole states; only the small
+// computed sections (stats, budgets) are compared against what was last sent.
+const PROTOCOL_VERSION = 2;
+let stateSeq = 0;
+
+// Changes since the last publish. Nothing is recorded while logged events are
+// re-processed: restored state reaches clients in their first snapshot.
+const changes = {
+  agents: new Map(),        // id -> agent, upserted if it still exists
+  removedAgents: new Set(),
+  agentOrder: false,        // agents were added or removed: send every id in order
+  files: new Map(),         // path -> file entry
+  fileOrder: false,         // files were added or removed: the window may have shifted
+  timeline: [],             // appended entries
+  timelineReset: false,     // entries disappeared: send the whole window
+  sections: new Set()       // 'sessions' | 'permissions' | 'config' | 'history'
+};
+let sentStats = null;   // JSON of the stats clients hold
+let sentBudgets = null; // JSON of the budgets clients hold
+let sentFiles = [];     // Paths in the files window clients hold
+
+function markAgent(agent, added) {
+  if (replaying || !agent) return;
+  changes.agents.set(agent.id, agent);
+  if (added) changes.agentOrder = true;
+}
+
+function markFile(file, added) {
+  if (replaying) return;
+  changes.files.set(file.path, file);
+  if (added) changes.fileOrder = true;
+}
+
+function markTimeline(entry) {
+  if (!replaying) changes.timeline.push(entry);
+}
+
+function markSection(...names) {
+  if (replaying) return;
+  for (const name of names) changes.sections.add(name);
+}
+
+function markSessionRemoved(ss) {
+  if (replaying) return;
+  for (const a of ss.agents) { changes.agents.delete(a.id); changes.removedAgents.add(a.id); }
+  changes.agentOrder = changes.fileOrder = changes.timelineReset = true;
+  changes.sections.add('sessions');
+}
+
+function hasChanges() {
+  return changes.agents.size > 0 || changes.removedAgents.size > 0 || changes.agentOrder ||
+    changes.files.size > 0 || changes.fileOrder || changes.timeline.length > 0 || changes.timelineReset ||
+    changes.sections.size > 0;
+}
+
+// Patch for everything changed since the last call; resets the change set
+function takePatch() {
+  const patch = {};
+
+  if (changes.agents.size || changes.removedAgents.size || changes.agentOrder) {
+    const upsert = [];
+    for (const a of changes.agents.values()) {
+      const ss = sessions.get(a.sessionId);
+      if (ss && ss.agents.includes(a)) upsert.push(publicAgent(ss, a));
+    }
+    patch.agents = { upsert, remove: [...changes.removedAgents] };
+    if (changes.agentOrder) patch.agents.order = publicAgentIds();
+  }
+
+  if (changes.fileOrder) {
+    const files = publicFiles();
+    const paths = files.map(f => f.path);
+    const held = new Set(sentFiles), kept = new Set(paths);
+    patch.files = {
+      upsert: files.filter(f => changes.files.has(f.path) || !held.has(f.path)),
+      remove: sentFiles.filter(path => !kept.has(path)),
+      order: paths
+    };
+    sentFiles = paths;
+  } else if (changes.files.size) {
+    const held = new Set(sentFiles);
+    const upsert = [...changes.files.values()].filter(f => held.has(f.path));
+    if (upsert.length) patch.files = { upsert, remove: [] };
+  }
+
+  // Clients sort appended entries by time and keep the last `limit`
+  if (changes.timelineReset) patch.timeline = { replace: publicTimeline() };
+  else if (changes.timeline.length) patch.timeline = { append: changes.timeline, limit: TIMELINE_WINDOW };
+
+  // Small computed sections: sent whole, only when they differ from what clients hold
+  const stats = publicStats();
+  const statsJson = JSON.stringify(stats);
+  if (statsJson !== sentStats) { patch.stats = stats; sentStats = statsJson; }
+  const budgets = getBudgetStatus();
+  const budgetsJson = JSON.stringify(budgets);
+  if (budgetsJson !== sentBudgets) { patch.budgets = budgets; sentBudgets = budgetsJson; }
+
+  if (changes.sections.has('sessions')) Object.assign(patch, publicSessions());
+  if (changes.sections.has('permissions')) patch.permissions = pendingPermissions();
+  if (changes.sections.has('config')) patch.config = config;
+  if (changes.sections.has('history')) patch.history = publicHistory();
+
+  changes.agents.clear();
+  changes.removedAgents.clear();
+  changes.files.clear();
+  changes.timeline = [];
+  changes.sections.clear();
+  changes.agentOrder = changes.fileOrder = changes.timelineReset = false;
+  return patch;
+}
+
+// Broadcast a state change: msg gets seq plus a patch (or full state where needed)
+function publishState(msg) {
+  const patch = takePatch();
+  stateSeq++;
+  let full = null, delta = null;
+  for (const ws of clients) {
+    if (ws.readyState !== 1) continue;
+    if (ws.bufferedAmount > MAX_BUFFERED) { ws.needsSnapshot = true; continue; } // skip slow clients
+    if (ws.needsSnapshot || ws.protocolVersion === 1) {
+      ws.needsSnapshot = false;
+      ws.send(full || (full = JSON.stringify({ ...msg, v: PROTOCOL_VERSION, seq: stateSeq, state: getPublicState() })));
+    } else {
+      ws.send(delta || (delta = JSON.stringify({ ...msg, v: PROTOCOL_VERSION, seq: stateSeq, patch })));
+    }
+  }
+}
+
+// Full state for one client. Pending changes are published first so the
+// snapshot matches what the other clients hold and the next patch applies.
+function sendSnapshot(ws, type) {
+  if (hasChanges()) publishState({ type: 'state_update' });
+  const state = getPublicState();
+  // Now every client holds this window (restored files were never published)
+  sentFiles = state.files.map(f => f.path);
+  ws.needsSnapshot = false;
+  ws.send(JSON.stringify({ type, v: PROTOCOL_VERSION, seq: stateSeq, state }));
+}
+
 const MAX_BUFFERED = 64 * 1024; // 64KB backpressure threshold
 function broadcast(data) {
   const msg = JSON.stringify(data);
@@ -734,17 +2397,28 @@ function broadcast(data) {
   }
 }
 
-server.listen(PORT, HOST, () => {
-  process.stderr.write(`[monikhao] Worker running at http://${HOST}:${PORT}\n`);
-  try { writeFileSync(PID_FILE, JSON.stringify({ pid: process.pid, port: PORT, startedAt: new Date().toISOString() })); } catch {}
-});
+// Only start serving when run as the worker; tests require() it for its internals
+if (require.main === module) {
+  restoreState();
+  drainSpool();
+
+  server.listen(PORT, HOST, () => {
+    process.stderr.write(`[monikhao] Worker running at http://${HOST}:${PORT}\n`);
+    try { writeFileSync(PID_FILE, JSON.stringify({ pid: process.pid, port: PORT, startedAt: new Date().toISOString() })); } catch {}
+  });
+}
 
 // ─── Graceful Shutdown ────────────────────────────────────────────────────────
 function cleanupAndExit(code) {
+  saveSnapshot();
   try { unlinkSync(PID_FILE); } catch {}
   try { server.close(); } catch {}
   process.exit(code || 0);
 }
-process.on('SIGTERM', () => cleanupAndExit(0));
-process.on('SIGINT', () => cleanupAndExit(0));
-process.on('exit', () => { try { unlinkSync(PID_FILE); } catch {} });
+if (require.main === module) {
+  process.on('SIGTERM', () => cleanupAndExit(0));
+  process.on('SIGINT', () => cleanupAndExit(0));
+  process.on('exit', () => { try { unlinkSync(PID_FILE); } catch {} });
+}
+
+module.exports = { sessions, processEvent, findPricing, tokenCost, sessionCost, budgetLedger, budgetAlerts, getBudgetStatus, evaluatePolicy, ingestEvent, drainSpool, server, getPublicState };
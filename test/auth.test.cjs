@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdtempSync } = require('fs');
+const { join } = require('path');
+const { tmpdir } = require('os');
+const { request } = require('http');
+
+// Point ~/.monikhao at a temp dir so the worker never touches the real log (or tokens)
+process.env.HOME = mkdtempSync(join(tmpdir(), 'monikhao-test-'));
+const { server } = require('../scripts/worker-service.cjs');
+const { readTokens } = require('../scripts/auth.cjs');
+
+let port;
+
+// Resolves to the response status; `host` overrides the Host header
+function call(method, path, { host, headers } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = request({
+      hostname: '127.0.0.1',
+      port,
+      path,
+      method,
+      headers: { Host: host || `127.0.0.1:${port}`, ...headers }
+    }, (res) => { res.resume(); res.on('end', () => resolve(res.statusCode)); });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => { port = server.address().port; resolve(); })));
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('loopback clients are trusted only when they address the worker by a loopback name', async () => {
+  assert.equal(await call('GET', '/api/state'), 200);
+  assert.equal(await call('GET', '/api/state', { host: `localhost:${port}` }), 200);
+  assert.equal(await call('GET', '/api/state', { host: `[::1]:${port}` }), 200);
+  // DNS rebinding: a page on rebind.example resolved to 127.0.0.1
+  assert.equal(await call('GET', '/api/state', { host: `rebind.example:${port}` }), 401);
+  assert.equal(await call('GET', '/api/state', { host: 'localhost:1' }), 401);
+  assert.equal(await call('GET', '/api/health', { host: `rebind.example:${port}` }), 200);
+});
+
+test('tokens still work from an untrusted host, with read limited to GET', async () => {
+  const { admin, read } = readTokens();
+  const host = `rebind.example:${port}`;
+  assert.equal(await call('GET', '/api/state', { host, headers: { Authorization: `Bearer ${read}` } }), 200);
+  assert.equal(await call('POST', '/api/config', { host, headers: { Authorization: `Bearer ${read}` } }), 403);
+  assert.equal(await call('GET', '/api/state', { host, headers: { Authorization: `Bearer ${admin}` } }), 200);
+});
+
+test('cross-origin requests are rejected for every method', async () => {
+  const headers = { Origin: 'http://evil.example' };
+  assert.equal(await call('GET', '/api/state', { headers }), 403);
+  assert.equal(await call('GET', '/api/health', { headers }), 403);
+  assert.equal(await call('POST', '/api/config', { headers }), 403);
+  assert.equal(await call('GET', '/api/state', { headers: { Origin: `http://127.0.0.1:${port}` } }), 200);
+});
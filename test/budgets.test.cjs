@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdtempSync, writeFileSync } = require('fs');
+const { join } = require('path');
+const { tmpdir } = require('os');
+
+// Point ~/.monikhao at a temp dir so the worker never touches the real log,
+// and load a config with token budgets from a temp plugin root
+process.env.HOME = mkdtempSync(join(tmpdir(), 'monikhao-test-'));
+process.env.MONIKHAO_ROOT = mkdtempSync(join(tmpdir(), 'monikhao-root-'));
+writeFileSync(join(process.env.MONIKHAO_ROOT, 'config.json'), JSON.stringify({
+  budgets: { warnAt: 0.5, session: { tokens: 1000 }, project: { tokens: 1400 } }
+}));
+const { processEvent, budgetLedger, budgetAlerts, getBudgetStatus } = require('../scripts/worker-service.cjs');
+
+const PROJECT = '/work/budgeted';
+function usage(sid, id, input) {
+  processEvent({ phase: 'usage', session_id: sid, cwd: PROJECT, timestamp: Date.now(), usage: [{ id, model: 'claude-sonnet-4-5', input }] });
+}
+const status = (scope, id) => getBudgetStatus().find(b => b.scope === scope && b.id === id && b.metric === 'tokens');
+
+test('session limits warn at warnAt and alert once per level', () => {
+  usage('budget-a', 'm1', 400);
+  assert.equal(status('session', 'budget-a').level, null);
+
+  usage('budget-a', 'm1', 600);
+  assert.equal(status('session', 'budget-a').level, 'warning');
+  const warnedAt = budgetAlerts.get('session:budget-a:tokens:warning');
+  assert.ok(warnedAt);
+
+  usage('budget-a', 'm2', 100);
+  assert.equal(budgetAlerts.get('session:budget-a:tokens:warning'), warnedAt);
+  assert.equal(budgetAlerts.has('session:budget-a:tokens:exceeded'), false);
+
+  usage('budget-a', 'm3', 500);
+  const s = status('session', 'budget-a');
+  assert.equal(s.level, 'exceeded');
+  assert.equal(s.used, 1200);
+  assert.equal(s.remaining, 0);
+  assert.ok(budgetAlerts.has('session:budget-a:tokens:exceeded'));
+});
+
+test('day and project ledgers add up growth across sessions', () => {
+  usage('budget-b', 'm1', 300);
+  usage('budget-b', 'm1', 300); // Re-sent unchanged: no growth
+
+  assert.equal(budgetLedger.projects[PROJECT].tokens, 1500);
+  const day = Object.values(budgetLedger.days).reduce((n, d) => n + d.tokens, 0);
+  assert.equal(day, 1500);
+
+  const project = status('project', PROJECT);
+  assert.equal(project.level, 'exceeded');
+  assert.equal(project.limit, 1400);
+  assert.equal(status('session', 'budget-b').level, null);
+});
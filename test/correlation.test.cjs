@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdtempSync } = require('fs');
+const { join } = require('path');
+const { tmpdir } = require('os');
+
+// Point ~/.monikhao at a temp dir so the worker never touches the real log
+process.env.HOME = mkdtempSync(join(tmpdir(), 'monikhao-test-'));
+const { sessions, processEvent } = require('../scripts/worker-service.cjs');
+
+let ts = 1_700_000_000_000;
+function send(session_id, phase, fields = {}) {
+  const event = { phase, session_id, timestamp: ts++, ...fields };
+  processEvent(event);
+  return event;
+}
+
+function toolCall(sid, id) {
+  for (const a of sessions.get(sid).agents) {
+    const tc = a.toolCalls.find(t => t.id === id);
+    if (tc) return tc;
+  }
+  return null;
+}
+
+test('post events complete the pre with the same tool_use_id, in any order', () => {
+  send('corr-ids', 'session_start');
+  const a = send('corr-ids', 'pre', { tool_name: 'Read', tool_use_id: 'toolu_a', tool_input: { file_path: '/a' } });
+  const b = send('corr-ids', 'pre', { tool_name: 'Read', tool_use_id: 'toolu_b', tool_input: { file_path: '/b' } });
+
+  const post = send('corr-ids', 'post', { tool_name: 'Read', tool_use_id: 'toolu_b', tool_response: 'b' });
+  assert.equal(post.toolCallId, b.toolCallId);
+  assert.equal(toolCall('corr-ids', b.toolCallId).status, 'completed');
+  assert.equal(toolCall('corr-ids', a.toolCallId).status, 'executing');
+
+  send('corr-ids', 'post', { tool_name: 'Read', tool_use_id: 'toolu_a', tool_response: 'a' });
+  assert.equal(toolCall('corr-ids', a.toolCallId).status, 'completed');
+  assert.equal(sessions.get('corr-ids').pendingToolCalls.size, 0);
+});
+
+test('without ids, a post completes the oldest pending call of the same tool', () => {
+  send('corr-fifo', 'session_start');
+  const first = send('corr-fifo', 'pre', { tool_name: 'Bash', tool_input: { command: 'one' } });
+  const grep = send('corr-fifo', 'pre', { tool_name: 'Grep', tool_input: { pattern: 'x' } });
+  const second = send('corr-fifo', 'pre', { tool_name: 'Bash', tool_input: { command: 'two' } });
+
+  assert.equal(send('corr-fifo', 'post', { tool_name: 'Bash', tool_response: 'ok' }).toolCallId, first.toolCallId);
+  assert.equal(send('corr-fifo', 'post', { tool_name: 'Bash', tool_response: 'ok' }).toolCallId, second.toolCallId);
+  assert.equal(toolCall('corr-fifo', grep.toolCallId).status, 'executing');
+});
+
+test('an unknown tool_use_id falls back to FIFO, and an unmatched post leaves other calls alone', () => {
+  send('corr-miss', 'session_start');
+  const pre = send('corr-miss', 'pre', { tool_name: 'Edit', tool_use_id: 'toolu_edit', tool_input: {} });
+
+  const stray = send('corr-miss', 'post', { tool_name: 'Write', tool_use_id: 'toolu_other', tool_response: 'ok' });
+  assert.equal(stray.toolCallId, undefined);
+  assert.equal(toolCall('corr-miss', pre.toolCallId).status, 'executing');
+
+  assert.equal(send('corr-miss', 'post', { tool_name: 'Edit', tool_use_id: 'toolu_renamed', tool_response: 'ok' }).toolCallId, pre.toolCallId);
+});
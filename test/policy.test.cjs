@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdtempSync, writeFileSync } = require('fs');
+const { join } = require('path');
+const { tmpdir } = require('os');
+
+// Point ~/.monikhao at a temp dir so the worker never touches the real log,
+// and load a config with an enabled policy from a temp plugin root
+process.env.HOME = mkdtempSync(join(tmpdir(), 'monikhao-test-'));
+process.env.MONIKHAO_ROOT = mkdtempSync(join(tmpdir(), 'monikhao-root-'));
+writeFileSync(join(process.env.MONIKHAO_ROOT, 'config.json'), JSON.stringify({
+  budgets: { session: { tokens: 100 } },
+  policy: {
+    enabled: true,
+    bash: { deny: ['(', '\\brm\\s+-rf\\s+/', 'git\\s+push\\s+--force'] },
+    protectedPaths: ['**/.env', '/etc/**', '~/secrets/*', 'src/generated/**'],
+    blockOnBudgetExceeded: true
+  }
+}));
+const { processEvent, evaluatePolicy } = require('../scripts/worker-service.cjs');
+
+const pre = (tool_name, tool_input, extra) => evaluatePolicy({ phase: 'pre', session_id: 'policy', tool_name, tool_input, ...extra });
+const write = (file_path, extra) => pre('Write', { file_path }, extra);
+
+test('bash deny patterns match case-insensitively and invalid patterns are skipped', () => {
+  assert.deepEqual(pre('Bash', { command: 'sudo rm -rf /' }), {
+    rule: 'bash.deny: \\brm\\s+-rf\\s+/',
+    reason: 'Command matches a denied pattern (/\\brm\\s+-rf\\s+//)'
+  });
+  assert.equal(pre('Bash', { command: 'GIT PUSH --force origin main' }).rule, 'bash.deny: git\\s+push\\s+--force');
+  assert.equal(pre('Bash', { command: 'rm -rf ./build' }), null);
+});
+
+test('protected path globs', () => {
+  assert.equal(write('/repo/.env').rule, 'protectedPaths: **/.env');
+  assert.equal(write('/repo/.env.example'), null);
+  assert.equal(write('config/.env', { cwd: '/repo' }).rule, 'protectedPaths: **/.env');
+  assert.equal(write('/etc/hosts').rule, 'protectedPaths: /etc/**');
+  assert.equal(write('/etcetera/hosts'), null);
+  assert.equal(write(join(process.env.HOME, 'secrets', 'key')).rule, 'protectedPaths: ~/secrets/*');
+  assert.equal(write(join(process.env.HOME, 'secrets', 'nested', 'key')), null);
+  assert.equal(write('/repo/src/generated/api/types.ts').rule, 'protectedPaths: src/generated/**');
+  assert.equal(write('/repo/mysrc/generated/types.ts'), null);
+  assert.equal(pre('NotebookEdit', { notebook_path: '/repo/.env' }).rule, 'protectedPaths: **/.env');
+});
+
+test('only pre events of write tools are checked against paths', () => {
+  assert.equal(pre('Read', { file_path: '/repo/.env' }), null);
+  assert.equal(evaluatePolicy({ phase: 'post', tool_name: 'Write', tool_input: { file_path: '/repo/.env' } }), null);
+});
+
+test('calls are blocked once a budget for the session is exceeded', () => {
+  assert.equal(pre('Bash', { command: 'ls' }), null);
+  processEvent({ phase: 'usage', session_id: 'policy', timestamp: Date.now(), usage: [{ id: 'm1', input: 150 }] });
+  const block = pre('Bash', { command: 'ls' });
+  assert.equal(block.rule, 'budget: session.tokens');
+  assert.equal(block.reason, 'session tokens budget exceeded (150 tokens of 100 tokens)');
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdtempSync, writeFileSync } = require('fs');
+const { join } = require('path');
+const { tmpdir } = require('os');
+
+// Point ~/.monikhao at a temp dir so the worker never touches the real log,
+// and load a config with pricing overrides from a temp plugin root
+process.env.HOME = mkdtempSync(join(tmpdir(), 'monikhao-test-'));
+process.env.MONIKHAO_ROOT = mkdtempSync(join(tmpdir(), 'monikhao-root-'));
+writeFileSync(join(process.env.MONIKHAO_ROOT, 'config.json'), JSON.stringify({
+  pricing: {
+    model: 'sonnet-4.5',
+    discount: 0.1,
+    models: {
+      'opus-4.6': { input: 4 },
+      'proxy-opus': { provider: 'myproxy', match: 'opus', input: 1, output: 2 }
+    }
+  }
+}));
+const { sessions, processEvent, findPricing, tokenCost, sessionCost } = require('../scripts/worker-service.cjs');
+
+const M = 1_000_000;
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('model ids resolve to the most specific entry, ignoring provider prefixes', () => {
+  assert.equal(findPricing('claude-opus-4-1-20250805').key, 'opus-4.1');
+  assert.equal(findPricing('claude-opus-4-20250514').key, 'opus-4');
+  assert.equal(findPricing('openrouter/anthropic/claude-haiku-4.5').key, 'haiku-4.5');
+  assert.equal(findPricing('gpt-4.1-mini').key, 'gpt-4.1-mini');
+});
+
+test('config entries override defaults field by field and provider entries only match their provider', () => {
+  const opus = findPricing('claude-opus-4-6');
+  assert.equal(opus.input, 4);
+  assert.equal(opus.output, 25);
+  assert.equal(findPricing('myproxy/claude-opus-4-6').key, 'proxy-opus');
+  assert.equal(findPricing('other/claude-opus-4-6').key, 'opus-4.6');
+});
+
+test('unknown and missing models fall back to the configured model', () => {
+  assert.equal(findPricing('some-local-model').key, 'sonnet-4.5');
+  assert.equal(findPricing(null).key, 'sonnet-4.5');
+});
+
+test('cache rates default to Anthropic multiples, explicit rates win, discount applies', () => {
+  const all = { input: M, output: M, cacheRead: M, cacheWrite: M };
+  close(tokenCost(findPricing('claude-sonnet-4-5'), all), (3 + 15 + 0.3 + 3.75) * 0.9);
+  close(tokenCost(findPricing('gpt-4o'), all), (2.5 + 10 + 1.25 + 2.5) * 0.9);
+  assert.equal(tokenCost(null, all), 0);
+});
+
+test('re-sent usage for a message only adds its growth, priced at that message\'s model', () => {
+  const ts = Date.now();
+  processEvent({ phase: 'session_start', session_id: 'priced', timestamp: ts });
+  const usage = (...entries) => processEvent({ phase: 'usage', session_id: 'priced', timestamp: ts + 1, usage: entries });
+  usage({ id: 'm1', model: 'claude-sonnet-4-5', input: 1000, output: 100 });
+  usage({ id: 'm1', model: 'claude-sonnet-4-5', input: 1000, output: 200 }, { id: 'm2', model: 'claude-haiku-4-5', input: 500, cacheRead: 1000 });
+
+  const { stats } = sessions.get('priced');
+  assert.equal(stats.inputTokens, 1500);
+  assert.equal(stats.outputTokens, 200);
+  assert.equal(stats.cacheReadTokens, 1000);
+  close(stats.cost, ((1000 * 3 + 200 * 15) + (500 * 1 + 1000 * 0.1)) / M * 0.9);
+  close(sessionCost(stats, 'claude-opus-4-6'), stats.cost);
+});
+
+test('sessions without reported usage are priced from the estimate with a 70/30 split', () => {
+  close(sessionCost({ estimatedTokens: 1000 }, 'mystery-model'), (700 * 3 + 300 * 15) / M * 0.9);
+});
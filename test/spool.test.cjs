@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdtempSync, readdirSync, readFileSync, existsSync, appendFileSync } = require('fs');
+const { join } = require('path');
+const { tmpdir } = require('os');
+
+// Point ~/.monikhao at a temp dir so the worker never touches the real log
+process.env.HOME = mkdtempSync(join(tmpdir(), 'monikhao-test-'));
+const { sessions, ingestEvent, drainSpool } = require('../scripts/worker-service.cjs');
+const { SPOOL_FILE, spoolEvent } = require('../scripts/spool.cjs');
+
+const EVENTS_DIR = join(process.env.HOME, '.monikhao', 'events');
+function loggedEvents() {
+  return readdirSync(EVENTS_DIR).sort()
+    .flatMap(f => readFileSync(join(EVENTS_DIR, f), 'utf8').split('\n').filter(Boolean))
+    .map(line => JSON.parse(line).event);
+}
+
+test('drainSpool ingests spooled events once, skipping ids already logged', () => {
+  const t = Date.now();
+  const start = { phase: 'session_start', session_id: 'spooled', timestamp: t, event_id: 'ev-start' };
+  const first = { phase: 'pre', session_id: 'spooled', tool_name: 'Read', tool_input: {}, timestamp: t + 1, event_id: 'ev-1' };
+  const second = { phase: 'pre', session_id: 'spooled', tool_name: 'Grep', tool_input: {}, timestamp: t + 2, event_id: 'ev-2' };
+
+  // The hook's POST of `first` timed out but still landed
+  ingestEvent({ ...start });
+  ingestEvent({ ...first });
+
+  spoolEvent(second);
+  spoolEvent(first);
+  spoolEvent(JSON.stringify(second)); // Retried by a later hook
+  appendFileSync(SPOOL_FILE, '{"phase":"pre","sess'); // Torn by a killed hook
+  drainSpool();
+
+  const ids = loggedEvents().map(e => e.event_id);
+  assert.deepEqual(ids, ['ev-start', 'ev-1', 'ev-2']);
+  assert.equal(sessions.get('spooled').stats.toolCalls, 2);
+  assert.equal(existsSync(SPOOL_FILE), false);
+  assert.deepEqual(readdirSync(join(process.env.HOME, '.monikhao')).filter(f => f.includes('draining')), []);
+});
+
+test('spooled events are ingested in timestamp order', () => {
+  const t = Date.now() + 1000;
+  spoolEvent({ phase: 'pre', session_id: 'late', tool_name: 'Bash', tool_input: {}, timestamp: t + 1, event_id: 'late-pre' });
+  spoolEvent({ phase: 'session_start', session_id: 'late', timestamp: t, event_id: 'late-start' });
+  drainSpool();
+
+  const ids = loggedEvents().map(e => e.event_id).filter(id => id.startsWith('late-'));
+  assert.deepEqual(ids, ['late-start', 'late-pre']);
+});
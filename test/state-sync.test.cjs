@@ -0,0 +1,112 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdtempSync } = require('fs');
+const { join } = require('path');
+const { tmpdir } = require('os');
+const WebSocket = require('ws');
+
+// Point ~/.monikhao at a temp dir so the worker never touches the real log
+process.env.HOME = mkdtempSync(join(tmpdir(), 'monikhao-test-'));
+const { ingestEvent, server, getPublicState } = require('../scripts/worker-service.cjs');
+
+let applyStatePatch, ws, port;
+let state = null, seq = 0;
+const messages = [];
+let waiting = null;
+
+// Next state-bearing message, applied to the local copy like the dashboard does
+function nextUpdate() {
+  return new Promise((resolve, reject) => {
+    const take = () => {
+      const msg = messages.shift();
+      if (!msg.state && msg.seq !== seq + 1) return reject(new Error(`Patch ${msg.seq} after ${seq}`));
+      state = msg.state || applyStatePatch(state, msg.patch);
+      seq = msg.seq;
+      resolve(msg);
+    };
+    if (messages.length) take();
+    else waiting = take;
+  });
+}
+
+let ts = Date.now();
+function send(fields) {
+  ingestEvent({ session_id: 'sync', timestamp: ts++, ...fields });
+  return nextUpdate();
+}
+
+before(async () => {
+  ({ applyStatePatch } = await import('../web/state-sync.js'));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+  ws = new WebSocket(`ws://127.0.0.1:${port}/`);
+  ws.on('message', data => {
+    const msg = JSON.parse(data);
+    if (msg.seq == null) return; // Not state-bearing (budget alerts, config_update, ...)
+    messages.push(msg);
+    if (waiting) { const take = waiting; waiting = null; take(); }
+  });
+  const init = await nextUpdate();
+  assert.equal(init.type, 'init');
+});
+
+after(async () => {
+  ws.close();
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('patches carry only what changed and rebuild the full state', async () => {
+  await send({ phase: 'session_start', model: 'claude-sonnet-4-5' });
+  await send({ phase: 'pre', tool_name: 'Task', tool_use_id: 't1', tool_input: { description: 'Explore', subagent_type: 'Explore' } });
+  await send({ phase: 'pre', tool_name: 'Read', tool_use_id: 'r1', agent_id: 'sub-1', tool_input: { file_path: '/repo/a.js' } });
+  const [main, sub] = state.agents;
+
+  const { patch } = await send({ phase: 'post', tool_name: 'Read', tool_use_id: 'r1', agent_id: 'sub-1', tool_response: 'x' });
+  assert.deepEqual(patch.agents.upsert.map(a => a.id), [sub.id]);
+  assert.equal(patch.agents.order, undefined);
+  assert.equal(patch.files, undefined);
+  assert.equal(patch.sessions, undefined);
+  assert.equal(patch.config, undefined);
+  assert.equal(patch.history, undefined);
+  assert.deepEqual(patch.timeline.append.map(e => e.type), ['tool_end']);
+
+  const reread = await send({ phase: 'pre', tool_name: 'Read', tool_use_id: 'r2', tool_input: { file_path: '/repo/a.js' } });
+  assert.deepEqual(reread.patch.agents.upsert.map(a => a.id), [main.id]);
+  assert.deepEqual(reread.patch.files, { upsert: [{ path: '/repo/a.js', accessCount: 2, lastAccessed: ts - 1, tool: 'Read' }], remove: [] });
+
+  assert.deepEqual(state, JSON.parse(JSON.stringify(getPublicState())));
+});
+
+test('a resync answers with the current full state', async () => {
+  await send({ phase: 'notification', message: 'done' });
+  const patched = state;
+  ws.send(JSON.stringify({ type: 'resync' }));
+  const msg = await nextUpdate();
+  assert.equal(msg.type, 'state_update');
+  assert.ok(msg.state);
+  assert.deepEqual(msg.state, patched);
+});
+
+test('removing a session removes its agents, files, timeline and stats keys', async () => {
+  await send({ phase: 'session_start', session_id: 'other', source: 'opencode' });
+  await send({ phase: 'pre', session_id: 'other', source: 'opencode', tool_name: 'Glob', tool_input: { pattern: '**/*.md' } });
+  assert.ok(state.stats.toolBreakdown.Glob);
+
+  const res = await fetch(`http://127.0.0.1:${port}/api/admin/disconnect?source=opencode`, { method: 'POST' });
+  assert.equal((await res.json()).removed, 1);
+  const { patch } = await nextUpdate();
+  assert.equal(patch.agents.remove.length, 1);
+  assert.ok(patch.timeline.replace);
+  assert.equal(state.stats.toolBreakdown.Glob, undefined);
+  assert.deepEqual(state.sessions.map(s => s.id), ['sync']);
+  assert.deepEqual(state, JSON.parse(JSON.stringify(getPublicState())));
+});
+
+test("a subagent's call that moves the main context gauge patches the main agent too", async () => {
+  const [main, sub] = state.agents;
+  const usage = [{ id: 'msg-ctx', model: 'claude-sonnet-4-5', input: 1000, cacheRead: 9000, output: 200 }];
+  const { patch } = await send({ phase: 'pre', tool_name: 'Grep', tool_use_id: 'g1', agent_id: 'sub-1', tool_input: { pattern: 'x' }, usage });
+  assert.deepEqual(patch.agents.upsert.map(a => a.id).sort(), [main.id, sub.id].sort());
+  assert.equal(state.agents[0].context.tokens, 10200);
+  assert.deepEqual(state, JSON.parse(JSON.stringify(getPublicState())));
+});
@@ -10,6 +10,7 @@ import { CSS2DRenderer, CSS2DObject } from 'three/addons/renderers/CSS2DRenderer
 import { Line2 } from 'three/addons/lines/Line2.js';
 import { LineMaterial } from 'three/addons/lines/LineMaterial.js';
 import { LineGeometry } from 'three/addons/lines/LineGeometry.js';
+import { applyStatePatch } from './state-sync.js';
 
 // ─── State ─────────────────────────────────────────────────────────────────────
 let appState = {
@@ -54,30 +55,6 @@ let fpsSampleIdx = 0;
 let fpsLastFrame = performance.now();
 let fpsUpdateTime = 0;
 
-// ─── Model Pricing ($ per million tokens) ────────────────────────────────────
-const MODEL_PRICING = {
-  // Anthropic
-  'opus-4.6':       { input: 5,     output: 25,    label: 'Claude Opus 4.6' },
-  'opus-4.5':       { input: 5,     output: 25,    label: 'Claude Opus 4.5' },
-  'opus-4.1':       { input: 15,    output: 75,    label: 'Claude Opus 4.1' },
-  'opus-4':         { input: 15,    output: 75,    label: 'Claude Opus 4' },
-  'sonnet-4.5':     { input: 3,     output: 15,    label: 'Claude Sonnet 4.5' },
-  'sonnet-4':       { input: 3,     output: 15,    label: 'Claude Sonnet 4' },
-  'haiku-4.5':      { input: 1,     output: 5,     label: 'Claude Haiku 4.5' },
-  'haiku-3.5':      { input: 0.80,  output: 4,     label: 'Claude Haiku 3.5' },
-  // OpenAI
-  'gpt-5.2':        { input: 1.75,  output: 14,    label: 'GPT-5.2' },
-  'gpt-5.1':        { input: 1.25,  output: 10,    label: 'GPT-5.1' },
-  'gpt-5':          { input: 1.25,  output: 10,    label: 'GPT-5' },
-  'gpt-5-mini':     { input: 0.25,  output: 2,     label: 'GPT-5 Mini' },
-  'gpt-4.1':        { input: 2,     output: 8,     label: 'GPT-4.1' },
-  'gpt-4.1-mini':   { input: 0.40,  output: 1.60,  label: 'GPT-4.1 Mini' },
-  'gpt-4o':         { input: 2.50,  output: 10,    label: 'GPT-4o' },
-  'gpt-4o-mini':    { input: 0.15,  output: 0.60,  label: 'GPT-4o Mini' },
-  'o3':             { input: 2,     output: 8,     label: 'o3' },
-  'o4-mini':        { input: 1.10,  output: 4.40,  label: 'o4-mini' },
-};
-
 /** Convert raw model ID (e.g. "claude-opus-4-6-20250514") to display name */
 function formatModelName(raw) {
   if (!raw) return '';
@@ -114,12 +91,9 @@ function formatModelName(raw) {
   return raw;
 }
 
-function estimateCost(tokens, modelKey) {
-  const p = MODEL_PRICING[modelKey];
-  if (!p) return 0;
-  // Assume ~70% input, ~30% output for agent workflows (output is more expensive)
-  const avgPerMTok = p.input * 0.7 + p.output * 0.3;
-  return (tokens / 1_000_000) * avgPerMTok;
+/** Real token total from transcript usage, or 0 when the platform doesn't report it */
+function usageTokens(stats) {
+  return (stats.inputTokens || 0) + (stats.outputTokens || 0) + (stats.cacheReadTokens || 0) + (stats.cacheWriteTokens || 0);
 }
 
 // ─── Ambient Audio Soundscape ─────────────────────────────────────────────────
@@ -1868,9 +1842,80 @@ function updateAgentMesh(agentId) {
     labelDiv.classList.remove('completed');
   }
 
+  updateProgressRing(meshData, agent);
+  updateContextRing(meshData, agent);
   meshData.group.visible = !meshData.hidden;
 }
 
+// ─── Progress & Context Rings ─────────────────────────────────────────────────
+// Camera-facing arcs around the orb, filled clockwise from 12 o'clock. The
+// inner one is the share the agent last reported through monikhao_report_progress,
+// the outer one (main agents) how full its context window is. Rebuilt only on change.
+function setArcRing(meshData, key, ratio, inner, outer, color) {
+  if (ratio == null) { removeArcRing(meshData, key); return; }
+  if (meshData[key]?.ratio === ratio && meshData[key].color === color) return;
+
+  if (!meshData[key]) {
+    const group = new THREE.Group();
+    const track = new THREE.Mesh(
+      new THREE.RingGeometry(inner, outer, 64),
+      new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.08, side: THREE.DoubleSide, depthWrite: false })
+    );
+    group.add(track);
+    meshData.group.add(group);
+    meshData[key] = { group, track, arc: null, ratio: null, color: null };
+  }
+  const p = meshData[key];
+  if (p.arc) { p.group.remove(p.arc); p.arc.geometry.dispose(); p.arc.material.dispose(); p.arc = null; }
+  if (ratio > 0) {
+    const len = Math.PI * 2 * ratio;
+    p.arc = new THREE.Mesh(
+      new THREE.RingGeometry(inner, outer, 64, 1, Math.PI / 2 - len, len),
+      new THREE.MeshBasicMaterial({
+        color, transparent: true, opacity: 0.7, side: THREE.DoubleSide,
+        blending: THREE.AdditiveBlending, depthWrite: false,
+      })
+    );
+    p.group.add(p.arc);
+  }
+  p.ratio = ratio;
+  p.color = color;
+}
+
+function removeArcRing(meshData, key) {
+  const p = meshData[key];
+  if (!p) return;
+  meshData.group.remove(p.group);
+  for (const m of [p.track, p.arc]) if (m) { m.geometry.dispose(); m.material.dispose(); }
+  meshData[key] = null;
+}
+
+function updateProgressRing(meshData, agent) {
+  const ratio = agent.progress ? agent.progress.ratio : null;
+  const color = ratio >= 1 ? 0x40ff80 : getAgentColor(agent);
+  setArcRing(meshData, 'progress', ratio, meshData.radius * 1.5, meshData.radius * 1.58, hexToThreeColor(color).getHex());
+}
+
+// Whole percents, so a growing context doesn't rebuild the arc on every message
+function updateContextRing(meshData, agent) {
+  const ratio = agent.type === 'main' && agent.context ? Math.round(agent.context.ratio * 100) / 100 : null;
+  setArcRing(meshData, 'contextRing', ratio, meshData.radius * 1.68, meshData.radius * 1.74, hexToThreeColor(contextColor(ratio)).getHex());
+}
+
+// Green while there's room, amber approaching config.context.warnAt, red past it
+function contextColor(ratio) {
+  const warnAt = appState.config?.context?.warnAt ?? 0.8;
+  return ratio >= warnAt ? '#ff4444' : ratio >= warnAt * 0.75 ? '#ffaa33' : '#40ff80';
+}
+
+// Rings always face the camera
+function updateProgressRings() {
+  for (const [, data] of agentMeshes) {
+    if (data.progress) data.progress.group.quaternion.copy(camera.quaternion);
+    if (data.contextRing) data.contextRing.group.quaternion.copy(camera.quaternion);
+  }
+}
+
 // ─── Thought Bubbles ──────────────────────────────────────────────────────────
 function showThoughtBubble(agentId, text, color, duration) {
   if (!(appState.config?.features?.thoughtBubbles ?? true)) return;
@@ -2675,6 +2720,8 @@ function showContextMenu(x, y, meshData) {
   const menu = document.getElementById('context-menu');
   const hideItem = menu.querySelector('[data-action="hide"]');
   if (hideItem) hideItem.textContent = meshData.hidden ? 'Show Agent' : 'Hide Agent';
+  const awaiting = !!agentPermission(meshData.agent);
+  menu.querySelectorAll('.ctx-permission').forEach(el => { el.style.display = awaiting ? '' : 'none'; });
   menu.style.display = 'block';
   menu.style.left = x + 'px';
   menu.style.top = y + 'px';
@@ -2705,6 +2752,12 @@ function handleContextAction(action, agentId) {
       meshData.hidden = !meshData.hidden;
       meshData.group.visible = !meshData.hidden;
       break;
+    case 'approve':
+    case 'deny': {
+      const p = agentPermission(meshData.agent);
+      if (p) window.decidePermission(p.id, action === 'approve' ? 'allow' : 'deny');
+      break;
+    }
   }
 }
 
@@ -2922,8 +2975,8 @@ function updateContextAnimations(time, dt, speed) {
       data.ring.material.color.copy(agentColor);
     }
 
-    // Permission-awaiting detection: tool executing > 3s → amber pulse on orb
-    const pending = (agent.toolCalls || []).find(tc => tc.status === 'executing' && tc.startedAt && (nowMs - tc.startedAt) > 15000);
+    // Permission-awaiting detection: explicit prompt, or tool executing > 15s → amber pulse on orb
+    const pending = agentPermission(agent) || (agent.toolCalls || []).find(tc => tc.status === 'executing' && tc.startedAt && (nowMs - tc.startedAt) > 15000);
     if (pending) {
       const awaitPulse = 0.5 + 0.5 * Math.sin(time * 4); // faster pulse
       data.sphere.material.emissive.setRGB(1.0, 0.75, 0.1); // amber
@@ -3008,6 +3061,7 @@ function animate() {
   if (hasAgents) {
     updateSpawnAnimations();
     updateContextAnimations(time, dt, speed);
+    updateProgressRings();
     updateAttention(dt);
     updateOrbCollisions(dt * speed);
     updateConnectionLines(time, dt);
@@ -3064,6 +3118,9 @@ function _getUiEls() {
     changes: document.getElementById('stat-changes'),
     tokens: document.getElementById('stat-tokens'),
     cost: document.getElementById('stat-cost'),
+    budget: document.getElementById('stat-budget'),
+    budgetFill: document.getElementById('budget-fill'),
+    budgetStat: document.getElementById('budget-stat'),
     turns: document.getElementById('stat-turns'),
     uptime: document.getElementById('stat-uptime'),
   };
@@ -3076,7 +3133,10 @@ function updateUI() {
 
   const dot = ui.dot;
   const label = ui.label;
-  if (!ws || ws.readyState !== WebSocket.OPEN) {
+  if (replay) {
+    dot.className = 'status-dot ended';
+    label.textContent = 'Replay';
+  } else if (!ws || ws.readyState !== WebSocket.OPEN) {
     dot.className = 'status-dot disconnected';
     label.textContent = 'Disconnected';
   } else if (session?.status === 'ended') {
@@ -3098,9 +3158,12 @@ function updateUI() {
   ui.active.textContent = stats.activeTools || 0;
   ui.tools.textContent = stats.toolCalls || 0;
 
+  // Replays measure against the current replay position instead of the wall clock
+  const now = replay ? replay.entries[replay.index].event.timestamp : Date.now();
+
   // Tools/min
   if (stats.startedAt && stats.toolCalls > 0) {
-    const mins = (Date.now() - stats.startedAt) / 60000;
+    const mins = (now - stats.startedAt) / 60000;
     const rate = mins > 0 ? (stats.toolCalls / mins).toFixed(1) : '0';
     ui.rate.textContent = rate;
   } else {
@@ -3117,17 +3180,30 @@ function updateUI() {
   const removed = stats.linesRemoved || 0;
   ui.changes.innerHTML =
     `<span class="line-add">+${added}</span> <span class="line-del">-${removed}</span>`;
-  const tokens = stats.estimatedTokens || 0;
+  const tokens = usageTokens(stats) || stats.estimatedTokens || 0;
   ui.tokens.textContent = tokens.toLocaleString();
 
-  const modelKey = appState.config?.pricing?.model || 'opus-4.6';
-  const cost = estimateCost(tokens, modelKey);
+  // Priced by the worker per model (see /api/pricing)
+  const cost = stats.cost || 0;
   ui.cost.textContent = cost >= 0.01 ? `$${cost.toFixed(2)}` : '$0';
 
+  // Budget gauge: the closest-to-limit configured budget
+  const budgets = appState.budgets || [];
+  ui.budgetStat.style.display = budgets.length ? '' : 'none';
+  if (budgets.length) {
+    const worst = budgets.reduce((a, b) => (b.ratio > a.ratio ? b : a));
+    ui.budgetFill.style.width = Math.min(100, worst.ratio * 100) + '%';
+    ui.budgetFill.className = 'budget-fill' + (worst.level ? ' ' + worst.level : '');
+    ui.budget.textContent = Math.round(worst.ratio * 100) + '%';
+    ui.budgetStat.title = budgets.map(b =>
+      `${b.scope} ${b.label} ${b.metric}: ${formatBudgetValue(b.metric, b.used)} / ${formatBudgetValue(b.metric, b.limit)}`
+    ).join('\n');
+  }
+
   ui.turns.textContent = stats.turns || 0;
 
   if (stats.startedAt) {
-    const elapsed = Math.floor((Date.now() - stats.startedAt) / 1000);
+    const elapsed = Math.max(0, Math.floor((now - stats.startedAt) / 1000));
     const m = Math.floor(elapsed / 60);
     const s = elapsed % 60;
     ui.uptime.textContent = m > 0 ? `${m}m ${s}s` : `${s}s`;
@@ -3155,20 +3231,130 @@ function updateUI() {
   // Await tone: ping when any agent is waiting for permission
   const nowCheck = Date.now();
   const anyAwaiting = agents.some(a =>
-    a.status === 'active' && (a.toolCalls || []).some(tc =>
+    a.status === 'active' && (agentPermission(a) || (a.toolCalls || []).some(tc =>
       tc.status === 'executing' && tc.startedAt && (nowCheck - tc.startedAt) > 15000
-    )
+    ))
   );
   if (anyAwaiting) startAwaitTone();
   else stopAwaitTone();
 }
 
+// Pending permission prompt the dashboard can answer for this agent, if any
+function agentPermission(agent) {
+  return (appState.permissions || []).find(p => p.agentId === agent.id) || null;
+}
+
+window.decidePermission = async function(id, decision) {
+  try {
+    const res = await fetch(`/api/permissions/${encodeURIComponent(id)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ decision })
+    });
+    // 404/409: already answered in the terminal or expired — the resolved broadcast cleans up
+    if (!res.ok && res.status !== 404 && res.status !== 409) throw new Error(res.statusText);
+  } catch (err) {
+    console.warn('Permission decision failed:', err.message);
+  }
+};
+
 // Persistent session display order — survives re-renders
 const sessionOrder = []; // array of session ids in user's preferred order
 
 // Track which agent IDs are currently rendered to detect structural changes
 let _renderedAgentKey = '';
 
+// Goal and progress the agent reported about itself (MCP annotations)
+function agentGoalHtml(agent) {
+  const p = agent.progress;
+  if (!agent.goal && !p) return '';
+  const pct = p ? Math.round(p.ratio * 100) : null;
+  const steps = p?.total ? ` (${p.completed}/${p.total})` : '';
+  return (agent.goal ? `<span class="goal-text">${escHtml(agent.goal.text)}</span>` : '') +
+    (p ? `<div class="goal-progress"><div class="goal-progress-fill" style="width:${pct}%"></div></div><span class="goal-pct">${pct}%${steps}</span>` : '') +
+    (p?.note ? `<div class="goal-note">${escHtml(p.note)}</div>` : '');
+}
+
+// ─── Context Window ────────────────────────────────────────────────────────────
+// Main agents carry { tokens, window, ratio } from their latest message's usage
+// and a compaction log { at, trigger, before, after } (after null until known).
+const COMPACTION_COLOR = '#ff8844';
+
+function formatTokenCount(n) {
+  if (n == null) return '?';
+  if (n >= 1_000_000) return (n / 1_000_000).toFixed(n >= 10_000_000 ? 0 : 1) + 'M';
+  if (n >= 1000) return Math.round(n / 1000) + 'k';
+  return String(n);
+}
+
+function describeCompaction(c) {
+  const sizes = c.before != null ? ` ${formatTokenCount(c.before)} → ${c.after != null ? formatTokenCount(c.after) : '…'}` : '';
+  return `${c.trigger === 'manual' ? 'Manual' : c.trigger === 'auto' ? 'Auto' : 'Context'} compaction${sizes}`;
+}
+
+function agentContextHtml(agent) {
+  const ctx = agent.context;
+  if (agent.type !== 'main' || !ctx) return '';
+  const pct = Math.round(ctx.ratio * 100);
+  const n = agent.compactions?.length || 0;
+  const last = n ? agent.compactions[n - 1] : null;
+  return `<span class="context-label">Context</span>` +
+    `<div class="context-gauge"><div class="context-gauge-fill" style="width:${pct}%;background:${contextColor(ctx.ratio)}"></div></div>` +
+    `<span class="context-pct">${formatTokenCount(ctx.tokens)} / ${formatTokenCount(ctx.window)} · ${pct}%</span>` +
+    (last ? `<span class="context-compactions" title="${escHtml(describeCompaction(last))}">${n} compaction${n === 1 ? '' : 's'}</span>` : '');
+}
+
+// ─── Turns ─────────────────────────────────────────────────────────────────────
+// Turn records come from the worker (prompt → Stop) on the main agent and in history.
+const _openTurnPanels = new Set(); // agent ids whose turn breakdown is expanded
+const PROMPT_COLOR = '#4488ff';
+
+function formatDuration(ms) {
+  const s = Math.round((ms || 0) / 1000);
+  if (s < 60) return s + 's';
+  if (s < 3600) return Math.floor(s / 60) + 'm ' + (s % 60) + 's';
+  return Math.floor(s / 3600) + 'h ' + Math.floor((s % 3600) / 60) + 'm';
+}
+
+function describeTurn(t) {
+  return `#${t.index} · ${formatDuration(t.duration)} · ${t.toolCalls} tool${t.toolCalls === 1 ? '' : 's'}` +
+    (t.errors ? ` · ${t.errors} err` : '') + (t.tokens ? ` · ${t.tokens.toLocaleString()} tok` : '');
+}
+
+function turnSummaryText(turns, runningSince) {
+  const working = turns.reduce((sum, t) => sum + t.duration, 0);
+  const waiting = turns.reduce((sum, t) => sum + (t.idleBefore || 0), 0);
+  let text = `${turns.length} turn${turns.length === 1 ? '' : 's'} · ${formatDuration(working)} working · ${formatDuration(waiting)} waiting`;
+  if (runningSince) text += ` · turn running ${formatDuration(Date.now() - runningSince)}`;
+  return text;
+}
+
+function turnRowsHtml(turns) {
+  return turns.slice(-20).map(t => `<div class="turn-row">
+      <span class="turn-idx">#${t.index}</span>
+      <span>${formatDuration(t.duration)}</span>
+      <span>${t.toolCalls} tool${t.toolCalls === 1 ? '' : 's'}${t.errors ? ` <span class="agent-error-badge">${t.errors} err</span>` : ''}</span>
+      <span>${t.tokens ? t.tokens.toLocaleString() + ' tok' : ''}</span>
+      <span>${t.cost ? '$' + t.cost.toFixed(2) : ''}</span>
+      <span class="turn-idle">${t.idleBefore != null ? 'waited ' + formatDuration(t.idleBefore) : ''}</span>
+      ${t.prompt ? `<span class="turn-prompt" title="${escHtml(t.prompt).replace(/"/g, '&quot;')}">${escHtml(t.prompt)}</span>` : ''}
+    </div>`).join('');
+}
+
+function agentTurnsHtml(agent) {
+  const turns = agent.turns || [];
+  if (!turns.length && !agent.turnStartedAt) return '';
+  return `<details class="agent-turns" data-agent-id="${escHtml(agent.id)}" ${_openTurnPanels.has(agent.id) ? 'open' : ''} ontoggle="toggleTurnPanel(this)">
+      <summary>${escHtml(turnSummaryText(turns, agent.turnStartedAt))}</summary>
+      <div class="turn-list">${turnRowsHtml(turns)}</div>
+    </details>`;
+}
+
+window.toggleTurnPanel = function(el) {
+  if (el.open) _openTurnPanels.add(el.dataset.agentId);
+  else _openTurnPanels.delete(el.dataset.agentId);
+};
+
 function updateAgentsTab() {
   const container = document.getElementById('tab-agents');
   if (container.style.display === 'none') return;
@@ -3189,8 +3375,8 @@ function updateAgentsTab() {
     if (!sessionMap.has(sessionOrder[i])) sessionOrder.splice(i, 1);
   }
 
-  // Fingerprint: agent IDs + statuses — if unchanged, patch in-place instead of rebuild
-  const agentKey = appState.agents.map(a => a.id + ':' + a.status).join(',');
+  // Fingerprint: agent IDs + statuses + pending prompts — if unchanged, patch in-place instead of rebuild
+  const agentKey = appState.agents.map(a => a.id + ':' + a.status + ':' + (agentPermission(a)?.id || '')).join(',');
   const structureChanged = agentKey !== _renderedAgentKey;
 
   if (!structureChanged) {
@@ -3205,9 +3391,27 @@ function updateAgentsTab() {
         const errorCount = (agent.toolCalls || []).filter(tc => tc.status === 'error').length;
         let statsHtml = (agent.toolCallCount || 0) + ' tool calls';
         if (errorCount > 0) statsHtml += ' | <span class="agent-error-badge">' + errorCount + ' error' + (errorCount > 1 ? 's' : '') + '</span>';
+        if (usageTokens(agent) > 0) statsHtml += ' | ' + usageTokens(agent).toLocaleString() + ' tok';
         if (lastTool) statsHtml += ' | Last: ' + escHtml(lastTool.tool);
         statsEl.innerHTML = statsHtml;
       }
+      const goalEl = card.querySelector('.agent-goal');
+      if (goalEl) goalEl.innerHTML = agentGoalHtml(agent);
+      const contextEl = card.querySelector('.agent-context');
+      if (contextEl) contextEl.innerHTML = agentContextHtml(agent);
+      const promptEl = card.querySelector('.agent-prompt');
+      if (promptEl) promptEl.textContent = agent.currentPrompt || '';
+      const turnsEl = card.querySelector('.agent-turns-slot');
+      if (turnsEl) {
+        const panel = turnsEl.querySelector('.agent-turns');
+        // Patch in place so an expanded panel stays expanded
+        if (panel && (agent.turns || []).length) {
+          panel.querySelector('summary').textContent = turnSummaryText(agent.turns, agent.turnStartedAt);
+          panel.querySelector('.turn-list').innerHTML = turnRowsHtml(agent.turns);
+        } else {
+          turnsEl.innerHTML = agentTurnsHtml(agent);
+        }
+      }
       // Update dot status class
       const dot = card.querySelector('.agent-dot');
       if (dot) {
@@ -3217,7 +3421,7 @@ function updateAgentsTab() {
       const header = card.querySelector('.agent-header');
       if (header) {
         const existing = header.querySelector('.agent-awaiting');
-        const pending = (agent.toolCalls || []).find(tc => tc.status === 'executing' && tc.startedAt && (now - tc.startedAt) > 15000);
+        const pending = agentPermission(agent) || (agent.toolCalls || []).find(tc => tc.status === 'executing' && tc.startedAt && (now - tc.startedAt) > 15000);
         if (pending && !existing) {
           const badge = document.createElement('div');
           badge.className = 'agent-awaiting';
@@ -3262,11 +3466,22 @@ function updateAgentsTab() {
 
   function getAwaitingBadge(agent) {
     const now = Date.now();
-    const pending = (agent.toolCalls || []).find(tc => tc.status === 'executing' && tc.startedAt && (now - tc.startedAt) > 15000);
+    const pending = agentPermission(agent) || (agent.toolCalls || []).find(tc => tc.status === 'executing' && tc.startedAt && (now - tc.startedAt) > 15000);
     if (!pending) return '';
     return `<div class="agent-awaiting">Awaiting</div>`;
   }
 
+  function getPermissionBar(agent) {
+    const p = agentPermission(agent);
+    if (!p) return '';
+    return `<div class="agent-permission">
+      <span class="perm-tool">${escHtml(p.tool || 'Tool')}</span>
+      <span class="perm-input">${escHtml(p.input || '')}</span>
+      <button class="perm-btn perm-allow" data-perm-id="${encodeURIComponent(p.id)}" onclick="decidePermission(decodeURIComponent(this.dataset.permId), 'allow')">Approve</button>
+      <button class="perm-btn perm-deny" data-perm-id="${encodeURIComponent(p.id)}" onclick="decidePermission(decodeURIComponent(this.dataset.permId), 'deny')">Deny</button>
+    </div>`;
+  }
+
   function renderAgent(agent, childMap, depth, isLast) {
     const color = getAgentColor(agent);
     const lastTool = agent.toolCalls?.[agent.toolCalls.length - 1];
@@ -3293,8 +3508,14 @@ function updateAgentsTab() {
         <div class="agent-stats" style="${depth > 0 ? 'padding-left:' + (depth * 20 + 20) + 'px;' : ''}">
           ${agent.toolCallCount || 0} tool calls
           ${(() => { const ec = (agent.toolCalls || []).filter(tc => tc.status === 'error').length; return ec > 0 ? ` | <span class="agent-error-badge">${ec} error${ec > 1 ? 's' : ''}</span>` : ''; })()}
+          ${usageTokens(agent) > 0 ? ` | ${usageTokens(agent).toLocaleString()} tok` : ''}
           ${lastTool ? ` | Last: ${escHtml(lastTool.tool)}` : ''}
         </div>
+        <div class="agent-goal" style="${depth > 0 ? 'padding-left:' + (depth * 20 + 20) + 'px;' : ''}">${agentGoalHtml(agent)}</div>
+        <div class="agent-context">${agentContextHtml(agent)}</div>
+        <div class="agent-prompt" title="Current prompt">${escHtml(agent.currentPrompt || '')}</div>
+        <div class="agent-turns-slot">${agentTurnsHtml(agent)}</div>
+        ${getPermissionBar(agent)}
         <div class="agent-events" id="agent-events-${CSS.escape(agent.id)}"></div>
         <div class="agent-thoughts" id="agent-thoughts-${CSS.escape(agent.id)}"></div>
       </div>
@@ -3506,18 +3727,19 @@ function replayThoughtsIntoAgents() {
 }
 
 function addEventToFeed(event) {
-  if (!event.tool_name && event.phase !== 'session_start' && event.phase !== 'session_end' && event.phase !== 'notification') return;
+  if (!event.tool_name && !['session_start', 'session_end', 'user_prompt', 'turn_end', 'notification', 'annotation', 'compact'].includes(event.phase)) return;
 
-  // Find which agent this event belongs to
+  // Find which agent this event belongs to (the worker stamps agentId when it knows)
   const sid = event.session_id;
-  const agent = sid
+  const agent = event.agentId ? appState.agents.find(a => a.id === event.agentId) : sid
     ? appState.agents.find(a => a.sessionId === sid && a.status === 'active')
       || appState.agents.find(a => a.sessionId === sid)
     : null;
   const agentId = agent?.id;
   if (!agentId) return;
 
-  const color = event.phase === 'notification' ? '#d080ff' : getToolColor(event.tool_name);
+  let color = event.phase === 'notification' ? '#d080ff' : getToolColor(event.tool_name);
+  let label = event.tool_name;
   let detail = '';
   if (event.phase === 'session_start') {
     detail = 'Session started';
@@ -3529,25 +3751,48 @@ function addEventToFeed(event) {
     detail = summarizeInputForUI(event.tool_name, event.tool_input) || '';
   } else if (event.phase === 'post') {
     detail = event.isError ? 'error' : 'completed';
+  } else if (event.phase === 'policy_block') {
+    detail = `Blocked: ${event.reason || event.rule || 'policy'}`;
+  } else if (event.phase === 'annotation') {
+    ({ label, detail, color } = describeAnnotation(event.kind, event));
+  } else if (event.phase === 'user_prompt') {
+    label = 'Prompt';
+    detail = event.prompt || `Turn ${event.turnIndex || '?'} started`;
+    color = PROMPT_COLOR;
+  } else if (event.phase === 'turn_end') {
+    label = 'Turn';
+    detail = event.turn ? `${describeTurn(event.turn)} — waiting for input` : 'Waiting for input';
+    color = '#8868aa';
+  } else if (event.phase === 'compact') {
+    label = 'Compact';
+    detail = describeCompaction(event.compaction || {});
+    color = COMPACTION_COLOR;
   }
 
-  const isError = !!(event.isError);
+  const isError = !!(event.isError) || event.phase === 'policy_block';
 
   // Cache the event
   if (!agentEventCache.has(agentId)) agentEventCache.set(agentId, []);
   const cache = agentEventCache.get(agentId);
-  cache.push({ timestamp: event.timestamp, tool_name: event.tool_name, phase: event.phase, detail, color, isError });
+  cache.push({ timestamp: event.timestamp, tool_name: label, phase: event.phase, detail, color, isError });
   while (cache.length > MAX_AGENT_EVENTS) cache.shift();
 
   // Append to DOM if container exists
   const container = document.getElementById(`agent-events-${CSS.escape(agentId)}`);
   if (container) {
-    appendEventDOM(container, { timestamp: event.timestamp, tool_name: event.tool_name, phase: event.phase, detail, color, isError });
+    appendEventDOM(container, { timestamp: event.timestamp, tool_name: label, phase: event.phase, detail, color, isError });
     while (container.children.length > MAX_AGENT_EVENTS) container.removeChild(container.firstChild);
     container.scrollTop = container.scrollHeight;
   }
 }
 
+// Feed line for an agent annotation (raw event or its timeline entry data)
+function describeAnnotation(kind, a) {
+  if (kind === 'goal') return { label: 'Goal', detail: a.goal || a.label || '', color: '#ffdd44' };
+  if (kind === 'milestone') return { label: 'Milestone', detail: a.label + (a.detail ? ` — ${a.detail}` : ''), color: '#00ffcc' };
+  return { label: 'Progress', detail: `${Math.round((a.ratio || 0) * 100)}%${a.note ? ` — ${a.note}` : ''}`, color: '#40ff80' };
+}
+
 function appendEventDOM(container, ev) {
   const d = new Date(ev.timestamp);
   const time = d.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
@@ -3574,6 +3819,7 @@ function replayEventsIntoAgents() {
 
 function updateTimelineBar() {
   const bar = document.getElementById('timeline-bar');
+  if (replay) { renderReplayTimeline(bar); return; }
   const events = appState.timeline;
   if (events.length === 0) { bar.innerHTML = ''; return; }
 
@@ -3590,10 +3836,12 @@ function updateTimelineBar() {
     if (evt.type === 'tool_start' && evt.data?.toolCallId) {
       pending.set(evt.data.toolCallId, evt);
     } else if (evt.type === 'tool_end') {
-      // Find matching start by tool name (best effort)
-      let matched = null;
-      for (const [id, start] of pending) {
-        if (start.data?.tool === evt.data?.tool) { matched = id; break; }
+      // Pair on the worker's toolCallId; oldest same-name start for ends without one
+      let matched = pending.has(evt.data?.toolCallId) ? evt.data.toolCallId : null;
+      if (!matched && !evt.data?.toolCallId) {
+        for (const [id, start] of pending) {
+          if (start.data?.tool === evt.data?.tool) { matched = id; break; }
+        }
       }
       if (matched) {
         const start = pending.get(matched);
@@ -3608,10 +3856,41 @@ function updateTimelineBar() {
     }
   }
 
+  // User prompts, compactions, and goals and milestones the agents posted (MCP annotations)
+  const markers = events.filter(evt => ['milestone', 'goal', 'user_prompt', 'compaction'].includes(evt.type))
+    .map(evt => {
+      const x = ((evt.timestamp - startTime) / range) * barWidth;
+      if (evt.type === 'user_prompt') return promptMarker(x, evt.data?.turn, evt.data?.prompt);
+      if (evt.type === 'compaction') return compactionMarker(x, evt.data || {});
+      return { x, kind: evt.type, label: evt.data?.label, detail: evt.data?.detail };
+    });
+
   // Render blocks as absolute-positioned divs
   bar.innerHTML = blocks.map(b => {
     const borderColor = b.isError ? 'var(--error)' : b.color;
     return `<div class="timeline-block" style="left:${b.x + 14}px;width:${b.w}px;background:${b.color};${b.isError ? 'border:1px solid var(--error);' : ''}" title="${escHtml(b.tool)}"></div>`;
+  }).join('') + timelineMarkersHTML(markers);
+}
+
+function compactionMarker(x, c) {
+  const label = c.before != null ? `${formatTokenCount(c.before)} → ${c.after != null ? formatTokenCount(c.after) : '…'}` : 'Compacted';
+  return { x, kind: 'compaction', label, detail: describeCompaction(c) };
+}
+
+function promptMarker(x, turn, prompt) {
+  const label = prompt ? (prompt.length > 40 ? prompt.slice(0, 39) + '…' : prompt) : `Turn ${turn || '?'}`;
+  return { x, kind: 'prompt', label, detail: prompt ? `Turn ${turn || '?'}: ${prompt}` : null };
+}
+
+// Labelled prompt, compaction and annotation markers; a label that would overlap the
+// previous one is only shown on hover.
+function timelineMarkersHTML(markers) {
+  let lastLabelX = -Infinity;
+  return markers.map(m => {
+    const crowded = m.x - lastLabelX < 90;
+    if (!crowded) lastLabelX = m.x;
+    const title = escHtml(m.kind === 'goal' ? `Goal: ${m.label}` : m.kind === 'prompt' || m.kind === 'compaction' ? (m.detail || m.label) : m.label + (m.detail ? ` — ${m.detail}` : '')).replace(/"/g, '&quot;');
+    return `<div class="timeline-marker timeline-marker-${m.kind}${crowded ? ' crowded' : ''}" style="left:${m.x + 14}px" title="${title}"><span class="timeline-marker-label">${escHtml(m.label)}</span></div>`;
   }).join('');
 }
 
@@ -3697,6 +3976,8 @@ function syncSceneWithState() {
       data.sphere.material.dispose();
       data.ring.geometry.dispose();
       data.ring.material.dispose();
+      removeArcRing(data, 'progress');
+      removeArcRing(data, 'contextRing');
       // Clean up CSS2D objects
       if (data.label) { data.group.remove(data.label); data.label.element.remove(); }
       if (data.activityLabel) { data.group.remove(data.activityLabel); data.activityLabel.element.remove(); }
@@ -3738,6 +4019,48 @@ function syncSceneWithState() {
   updateTimelineBar();
 }
 
+// Briefly tint an agent's orb (errors, budget alerts), then restore its own color
+function flashOrb(agent, colorHex, duration) {
+  const meshData = agentMeshes.get(agent.id);
+  if (!meshData) return;
+  meshData.sphere.material.emissive.copy(new THREE.Color(colorHex));
+  meshData.sphere.material.emissiveIntensity = 1.5;
+  meshData.glowShell.material.opacity = 0.4;
+  meshData.glowShell.scale.setScalar(1.3);
+  setTimeout(() => {
+    if (!meshData.sphere?.material) return;
+    const current = appState.agents.find(a => a.id === agent.id);
+    const origColor = hexToThreeColor(getAgentColor(current || agent));
+    meshData.sphere.material.emissive.copy(origColor);
+    meshData.sphere.material.emissiveIntensity = current?.status === 'active' ? 0.5 : 0.1;
+    meshData.glowShell.material.opacity = 0.12;
+    meshData.glowShell.scale.setScalar(1.0);
+  }, duration);
+}
+
+function formatBudgetValue(metric, v) {
+  return metric === 'cost' ? `$${v.toFixed(2)}` : Math.round(v).toLocaleString() + ' tok';
+}
+
+// budget_warning / budget_exceeded from the worker: flash the offending orb amber/red
+function handleBudgetAlert(b) {
+  const exceeded = b.level === 'exceeded';
+  const agent = appState.agents.find(a => a.id === b.agentId)
+    || appState.agents.find(a => a.sessionId === b.sessionId && a.type === 'main');
+  const text = `${exceeded ? 'Budget exceeded' : 'Budget warning'}: ${b.label} ${formatBudgetValue(b.metric, b.used)} / ${formatBudgetValue(b.metric, b.limit)}`;
+  if (agent) {
+    flashOrb(agent, exceeded ? 0xff4060 : 0xffaa33, exceeded ? 2000 : 1200);
+    showThoughtBubble(agent.id, text, exceeded ? '#ff4060' : '#ffaa33', 6000);
+  }
+  if (exceeded) playErrorTone();
+  const gauge = document.getElementById('budget-stat');
+  if (gauge) {
+    gauge.classList.remove('budget-flash');
+    void gauge.offsetWidth; // restart the animation
+    gauge.classList.add('budget-flash');
+  }
+}
+
 function handleEvent(event) {
   addEventToFeed(event);
 
@@ -3755,11 +4078,11 @@ function handleEvent(event) {
 
   // Thought bubbles + particles for tool calls
   if (event.phase === 'pre' && event.tool_name) {
-    // Find the LAST active agent for this session (most recently spawned subagent)
-    // This matches the worker's findActiveAgent() which iterates backwards
+    // Prefer the worker's attribution; otherwise the LAST active agent for this
+    // session, matching the worker's findActiveAgent() fallback
     const sid = event.session_id;
-    let activeAgent = null;
-    if (sid) {
+    let activeAgent = event.agentId ? appState.agents.find(a => a.id === event.agentId) : null;
+    if (!activeAgent && sid) {
       for (let i = appState.agents.length - 1; i >= 0; i--) {
         if (appState.agents[i].sessionId === sid && appState.agents[i].status === 'active') {
           activeAgent = appState.agents[i];
@@ -3816,8 +4139,8 @@ function handleEvent(event) {
   if (event.phase === 'post' && event.isError) {
     playErrorTone();
     const sid = event.session_id;
-    let errorAgent = null;
-    if (sid) {
+    let errorAgent = event.agentId ? appState.agents.find(a => a.id === event.agentId) : null;
+    if (!errorAgent && sid) {
       for (let i = appState.agents.length - 1; i >= 0; i--) {
         if (appState.agents[i].sessionId === sid && appState.agents[i].status === 'active') {
           errorAgent = appState.agents[i]; break;
@@ -3825,30 +4148,19 @@ function handleEvent(event) {
       }
     }
     if (!errorAgent) errorAgent = appState.agents[0];
-    if (errorAgent) {
-      const meshData = agentMeshes.get(errorAgent.id);
-      if (meshData) {
-        const red = new THREE.Color(0xff4060);
-        meshData.sphere.material.emissive.copy(red);
-        meshData.sphere.material.emissiveIntensity = 1.5;
-        meshData.glowShell.material.opacity = 0.4;
-        meshData.glowShell.scale.setScalar(1.3);
-        setTimeout(() => {
-          if (!meshData.sphere?.material) return;
-          const agent = appState.agents.find(a => a.id === errorAgent.id);
-          const origColor = hexToThreeColor(getAgentColor(agent || errorAgent));
-          meshData.sphere.material.emissive.copy(origColor);
-          meshData.sphere.material.emissiveIntensity = agent?.status === 'active' ? 0.5 : 0.1;
-          meshData.glowShell.material.opacity = 0.12;
-          meshData.glowShell.scale.setScalar(1.0);
-        }, 800);
-      }
-    }
+    if (errorAgent) flashOrb(errorAgent, 0xff4060, 800);
   }
 
-  // Subagent completion burst
-  if (event.phase === 'post' && (event.tool_name === 'Task' || event.tool_name === 'Agent')) {
-    const completedSub = appState.agents.find(a => a.type === 'subagent' && a.status === 'completed');
+  // Policy block: the call never ran, flash the agent that attempted it
+  if (event.phase === 'policy_block') {
+    playErrorTone();
+    const blockedAgent = appState.agents.find(a => a.id === event.agentId);
+    if (blockedAgent) flashOrb(blockedAgent, 0xff4060, 1200);
+  }
+
+  // Subagent completion burst (worker stamps completedAgentId on Task post / SubagentStop)
+  if (event.completedAgentId) {
+    const completedSub = appState.agents.find(a => a.id === event.completedAgentId);
     if (completedSub) {
       for (let i = 0; i < 8; i++) {
         spawnBurstParticle(completedSub.id, getAgentColor(completedSub));
@@ -3908,7 +4220,7 @@ function replayEventsFromTimeline() {
   const recent = timeline.slice(-100);
   for (const evt of recent) {
     const toolName = evt.data?.tool || null;
-    const color = toolName ? getToolColor(toolName) : '#4488ff';
+    let color = toolName ? getToolColor(toolName) : '#4488ff';
     const agentId = evt.agentId || null;
     if (!agentId) continue;
 
@@ -3926,11 +4238,28 @@ function replayEventsFromTimeline() {
     } else if (evt.type === 'agent_response') {
       label = 'Response';
       detail = evt.data?.message || '';
+    } else if (evt.type === 'policy_block') {
+      label = toolName || 'tool';
+      detail = `Blocked: ${evt.data?.reason || evt.data?.rule || 'policy'}`;
+    } else if (evt.type === 'goal' || evt.type === 'milestone' || evt.type === 'progress') {
+      ({ label, detail, color } = describeAnnotation(evt.type, evt.data || {}));
+    } else if (evt.type === 'user_prompt') {
+      label = 'Prompt';
+      detail = evt.data?.prompt || `Turn ${evt.data?.turn || '?'} started`;
+      color = PROMPT_COLOR;
+    } else if (evt.type === 'turn_end') {
+      label = 'Turn';
+      detail = `${describeTurn(evt.data || {})} — waiting for input`;
+      color = '#8868aa';
+    } else if (evt.type === 'compaction') {
+      label = 'Compact';
+      detail = describeCompaction(evt.data || {});
+      color = COMPACTION_COLOR;
     } else {
       continue;
     }
 
-    const isError = !!(evt.data?.isError);
+    const isError = !!(evt.data?.isError) || evt.type === 'policy_block';
     const evColor = isError ? 'var(--error)' : color;
 
     if (!agentEventCache.has(agentId)) agentEventCache.set(agentId, []);
@@ -3942,6 +4271,246 @@ function replayEventsFromTimeline() {
   // DOM will be populated by updateAgentsTab -> replayEventsIntoAgents
 }
 
+// ─── Session Replay ────────────────────────────────────────────────────────────
+// Replays a recorded session from the worker's event log. While active, live
+// WebSocket state is parked in replay.liveState and restored on exit.
+let replay = null; // { session, entries, keyframes, index, totals, checkpoints, playing, speed, timer, liveState, liveThoughts }
+const REPLAY_MAX_GAP = 3000; // Long idle gaps are compressed to this (ms, before speed)
+const REPLAY_FEED_WINDOW = 300; // Entries re-fed into the agent panels on seek
+
+const REPLAY_CHECKPOINT_EVERY = 250; // Running totals are cached this often so a seek resumes near its target
+
+// Fold entry j into the running totals (tool breakdown, per-agent fields that
+// change between keyframes, current keyframe). Playback carries them forward.
+function accumulateReplay(totals, j) {
+  const { entries, keyframes } = replay;
+  const e = entries[j];
+  while (totals.keyframe + 1 < keyframes.length && keyframes[totals.keyframe + 1].index <= j) totals.keyframe++;
+  if (e.agentId && e.toolCallCount != null) (totals.agents[e.agentId] ||= {}).toolCallCount = e.toolCallCount;
+  // Goal / progress annotations between keyframes
+  if (e.event.phase === 'annotation' && e.agentId) {
+    const ev = e.event;
+    const a = totals.agents[e.agentId] ||= {};
+    if (ev.kind === 'goal') { a.goal = { text: ev.goal, steps: ev.steps || [], at: ev.timestamp }; a.progress = null; }
+    else if (ev.kind === 'progress') a.progress = { ratio: ev.ratio, completed: ev.completed ?? null, total: ev.total ?? null, note: ev.note || null, at: ev.timestamp };
+  }
+  const t = e.event.tool_name;
+  if (t) {
+    const counts = totals.toolBreakdown[t] ||= { calls: 0, errors: 0 };
+    if (e.event.phase === 'pre') counts.calls++;
+    else if (e.event.phase === 'post' && e.event.isError) counts.errors++;
+  }
+  totals.index = j;
+}
+
+// Running totals after entry i: continued from the current ones when moving
+// forward, otherwise from the nearest cached checkpoint at or before i
+function replayTotalsAt(i) {
+  let totals = replay.totals;
+  if (!totals || totals.index > i) {
+    let k = Math.floor(i / REPLAY_CHECKPOINT_EVERY);
+    while (k >= 0 && !replay.checkpoints[k]) k--;
+    totals = k >= 0 ? structuredClone(replay.checkpoints[k]) : { index: -1, keyframe: -1, toolBreakdown: {}, agents: {} };
+  }
+  for (let j = totals.index + 1; j <= i; j++) {
+    accumulateReplay(totals, j);
+    const k = j / REPLAY_CHECKPOINT_EVERY;
+    if (Number.isInteger(k) && !replay.checkpoints[k]) replay.checkpoints[k] = structuredClone(totals);
+  }
+  replay.totals = totals;
+  return totals;
+}
+
+// Build a dashboard state as it was right after entry i
+function replayStateAt(i) {
+  const { session, entries, keyframes } = replay;
+  const totals = replayTotalsAt(i);
+  const kf = keyframes[totals.keyframe];
+  const agents = (kf ? kf.agents : []).map(a => ({ ...a, sessionId: session.id, source: a.source || session.source || 'unknown', ...totals.agents[a.id] }));
+  const toolBreakdown = structuredClone(totals.toolBreakdown);
+
+  const active = agents.some(a => a.status === 'active');
+  const sess = { ...session, status: active ? 'active' : 'ended' };
+  const stats = entries[i].stats || {};
+  return {
+    sessions: [sess],
+    session: sess,
+    agents,
+    timeline: [],
+    files: [],
+    stats: {
+      ...stats,
+      agentCount: agents.length,
+      activeAgents: agents.filter(a => a.status === 'active').length,
+      activeTools: 0,
+      sessionCount: 1,
+      activeSessionCount: active ? 1 : 0,
+      toolBreakdown
+    },
+    config: replay.liveState.config,
+    history: replay.liveState.history
+  };
+}
+
+window.startReplay = async function(sessionId) {
+  let data;
+  try {
+    const res = await fetch(`/api/sessions/${encodeURIComponent(sessionId)}/replay`);
+    if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || res.statusText);
+    data = await res.json();
+  } catch (err) {
+    alert(`Replay unavailable: ${err.message}`);
+    return;
+  }
+  if (!data.entries?.length) return;
+
+  if (replay) stopReplayTimer();
+  else replay = { liveState: appState, liveThoughts: new Map(agentThoughtsCache) };
+  Object.assign(replay, { session: data.session, entries: data.entries, keyframes: data.keyframes, index: 0, totals: null, checkpoints: [], playing: false, speed: replay.speed || 1 });
+
+  const seek = document.getElementById('replay-seek');
+  seek.max = data.entries.length - 1;
+  document.getElementById('replay-controls').style.display = '';
+  document.getElementById('timeline-bar').classList.add('replaying');
+  switchTab('agents');
+  seekReplay(0);
+  toggleReplayPlay();
+};
+
+window.exitReplay = function() {
+  if (!replay) return;
+  stopReplayTimer();
+  appState = replay.liveState;
+  agentThoughtsCache.clear();
+  for (const [id, t] of replay.liveThoughts) agentThoughtsCache.set(id, t);
+  replay = null;
+  document.getElementById('replay-controls').style.display = 'none';
+  document.getElementById('timeline-bar').classList.remove('replaying');
+  clearScene();
+  syncSceneWithState();
+  replayEventsFromTimeline();
+};
+
+// Jump to entry i: rebuild scene + panels silently (no particles/audio for skipped events)
+window.seekReplay = function(i) {
+  if (!replay) return;
+  replay.index = Math.max(0, Math.min(replay.entries.length - 1, i));
+  clearScene();
+  agentThoughtsCache.clear();
+  appState = replayStateAt(replay.index);
+  for (let j = Math.max(0, replay.index - REPLAY_FEED_WINDOW); j <= replay.index; j++) {
+    const ev = replay.entries[j].event;
+    addEventToFeed(ev);
+    if (ev.phase === 'pre' && ev.thinking && ev.agentId) appendThought(ev.agentId, ev.thinking, ev.timestamp);
+  }
+  syncSceneWithState();
+  updateReplayControls();
+  if (replay.playing) { stopReplayTimer(); scheduleReplayTick(); }
+};
+
+// Advance one entry with full live-style effects
+window.stepReplay = function() {
+  if (!replay || replay.index >= replay.entries.length - 1) return false;
+  replay.index++;
+  appState = replayStateAt(replay.index);
+  handleEvent(replay.entries[replay.index].event);
+  scheduleSyncScene();
+  updateReplayControls();
+  return true;
+};
+
+window.toggleReplayPlay = function() {
+  if (!replay) return;
+  replay.playing = !replay.playing;
+  if (replay.playing) {
+    if (replay.index >= replay.entries.length - 1) seekReplay(0);
+    scheduleReplayTick();
+  } else {
+    stopReplayTimer();
+  }
+  updateReplayControls();
+};
+
+window.setReplaySpeed = function(speed) {
+  if (!replay) return;
+  replay.speed = speed || 1;
+  if (replay.playing) { stopReplayTimer(); scheduleReplayTick(); }
+};
+
+function scheduleReplayTick() {
+  const { entries, index } = replay;
+  if (index >= entries.length - 1) { replay.playing = false; updateReplayControls(); return; }
+  const gap = Math.min(Math.max(entries[index + 1].event.timestamp - entries[index].event.timestamp, 0), REPLAY_MAX_GAP);
+  replay.timer = setTimeout(() => {
+    if (!replay?.playing) return;
+    stepReplay();
+    scheduleReplayTick();
+  }, gap / replay.speed);
+}
+
+function stopReplayTimer() {
+  clearTimeout(replay.timer);
+  replay.timer = null;
+}
+
+function updateReplayControls() {
+  if (!replay) return;
+  const { entries, index } = replay;
+  document.getElementById('replay-seek').value = index;
+  document.getElementById('replay-play').textContent = replay.playing ? '⏸' : '▶';
+  const t = new Date(entries[index].event.timestamp);
+  document.getElementById('replay-pos').textContent =
+    `${index + 1}/${entries.length} · ${t.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit', second: '2-digit' })}`;
+}
+
+function renderReplayTimeline(bar) {
+  const { entries, index } = replay;
+  const startTime = entries[0].event.timestamp;
+  const range = Math.max(entries[entries.length - 1].event.timestamp - startTime, 1);
+  const barWidth = bar.clientWidth - 28;
+  if (barWidth <= 0) return;
+
+  const blocks = [];
+  const pending = new Map(); // toolCallId -> start timestamp
+  for (const { event } of entries) {
+    if (!event.tool_name || !event.toolCallId) continue;
+    if (event.phase === 'pre') {
+      pending.set(event.toolCallId, event.timestamp);
+    } else if (event.phase === 'post' && pending.has(event.toolCallId)) {
+      const start = pending.get(event.toolCallId);
+      pending.delete(event.toolCallId);
+      blocks.push({
+        x: ((start - startTime) / range) * barWidth,
+        w: Math.max(2, ((event.timestamp - start) / range) * barWidth),
+        color: getToolColor(event.tool_name), tool: event.tool_name, isError: !!event.isError
+      });
+    }
+  }
+  const markers = entries.filter(({ event }) => event.phase === 'user_prompt' || event.phase === 'compact' || (event.phase === 'annotation' && (event.kind === 'milestone' || event.kind === 'goal')))
+    .map(({ event }) => {
+      const x = ((event.timestamp - startTime) / range) * barWidth;
+      if (event.phase === 'user_prompt') return promptMarker(x, event.turnIndex, event.prompt);
+      if (event.phase === 'compact') return compactionMarker(x, event.compaction || {});
+      return { x, kind: event.kind, label: event.label || event.goal, detail: event.detail };
+    });
+  const headX = ((entries[index].event.timestamp - startTime) / range) * barWidth;
+  bar.innerHTML = blocks.map(b =>
+    `<div class="timeline-block" style="left:${b.x + 14}px;width:${b.w}px;background:${b.color};${b.isError ? 'border:1px solid var(--error);' : ''}" title="${escHtml(b.tool)}"></div>`
+  ).join('') + timelineMarkersHTML(markers) + `<div class="timeline-playhead" style="left:${headX + 14}px"></div>`;
+}
+
+// Click on the timeline bar to seek while replaying
+document.getElementById('timeline-bar').addEventListener('click', (e) => {
+  if (!replay) return;
+  const bar = e.currentTarget;
+  const frac = Math.max(0, Math.min(1, (e.clientX - bar.getBoundingClientRect().left - 14) / (bar.clientWidth - 28)));
+  const { entries } = replay;
+  const target = entries[0].event.timestamp + frac * (entries[entries.length - 1].event.timestamp - entries[0].event.timestamp);
+  let i = 0;
+  while (i < entries.length - 1 && entries[i + 1].event.timestamp <= target) i++;
+  seekReplay(i);
+});
+
 // ─── Voice Input (Web Speech API) ──────────────────────────────────────────────
 let speechRecognition = null;
 let isListening = false;
@@ -4051,10 +4620,81 @@ function syncVoiceVisibility() {
   if (modeRow) modeRow.style.display = enabled ? '' : 'none';
 }
 
+// ─── Authentication ────────────────────────────────────────────────────────────
+// The worker trusts loopback by default; remote viewers log in with a token
+// (admin or read-only) and get a cookie that covers fetches and the WebSocket.
+let authRole = null; // 'admin' | 'read' once known
+
+function applyRole(role) {
+  authRole = role;
+  document.body.classList.toggle('read-only', role === 'read');
+  document.getElementById('role-badge').style.display = role === 'read' ? '' : 'none';
+}
+
+function showLogin(message) {
+  document.getElementById('login-screen').style.display = 'flex';
+  document.getElementById('login-error').textContent = message || '';
+  document.getElementById('login-token').focus();
+}
+
+async function startConnection() {
+  let auth = null;
+  try { auth = await (await fetch('/api/auth')).json(); } catch {}
+  if (auth && !auth.role) return showLogin();
+  if (auth) applyRole(auth.role);
+  connectWebSocket(); // worker unreachable: the reconnect loop takes over
+}
+
+document.getElementById('login-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const input = document.getElementById('login-token');
+  const token = input.value.trim();
+  if (!token) return;
+  try {
+    const res = await fetch('/api/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token })
+    });
+    const data = await res.json();
+    if (!res.ok) return showLogin(data.error || 'Login failed');
+    input.value = '';
+    document.getElementById('login-screen').style.display = 'none';
+    applyRole(data.role);
+    connectWebSocket();
+  } catch {
+    showLogin('Cannot reach the Monikhao worker');
+  }
+});
+
+// ─── State Sync (protocol v2) ──────────────────────────────────────────────────
+// State-bearing messages carry a seq and either a full `state` or a `patch`
+// against seq - 1. On a gap we ask the worker for a fresh snapshot.
+let stateSeq = 0;
+let resyncPending = false;
+
+// New state for a state-bearing message, or null if it can't be applied
+function resolveIncomingState(msg, base) {
+  if (msg.state) {
+    resyncPending = false;
+    stateSeq = msg.seq || 0;
+    return msg.state;
+  }
+  if (resyncPending) return null; // a snapshot is on its way
+  if (msg.seq !== stateSeq + 1 || !base) {
+    resyncPending = true;
+    if (ws?.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: 'resync' }));
+    return null;
+  }
+  stateSeq = msg.seq;
+  return applyStatePatch(base, msg.patch);
+}
+
 // ─── WebSocket Connection ──────────────────────────────────────────────────────
 function connectWebSocket() {
   const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
-  ws = new WebSocket(`${protocol}//${location.host}/ws`);
+  // client=dashboard: the worker only holds permission prompts while an admin dashboard is open
+  ws = new WebSocket(`${protocol}//${location.host}/ws?client=dashboard`);
 
   ws.onopen = () => {
     reconnectDelay = 1000;
@@ -4066,9 +4706,20 @@ function connectWebSocket() {
     let msg;
     try { msg = JSON.parse(e.data); } catch { return; }
 
+    if (msg.state || msg.patch) {
+      const next = resolveIncomingState(msg, replay ? replay.liveState : appState);
+      if (!next) return;
+      // While replaying, keep the live state current but off-screen
+      if (replay) {
+        replay.liveState = next;
+        return;
+      }
+      appState = next;
+    }
+    if (replay && msg.budget) return;
+
     switch (msg.type) {
       case 'init':
-        appState = msg.state;
         syncSceneWithState();
         syncConfigUI();
         replayEventsFromTimeline();
@@ -4077,16 +4728,32 @@ function connectWebSocket() {
         break;
 
       case 'event':
-        appState = msg.state;
         handleEvent(msg.event);
         scheduleSyncScene(); // debounced — coalesces rapid tool bursts
         break;
 
+      case 'events': // batched ingestion — one state push for the whole burst
+        for (const ev of msg.events) handleEvent(ev);
+        scheduleSyncScene();
+        break;
+
       case 'state_update':
-        appState = msg.state;
         scheduleSyncScene(); // debounced
         break;
 
+      case 'budget_warning':
+      case 'budget_exceeded':
+        handleBudgetAlert(msg.budget);
+        break;
+
+      case 'permission_request':
+      case 'permission_resolved': {
+        const permAgent = appState.agents.find(a => a.id === msg.permission.agentId);
+        if (msg.type === 'permission_request' && permAgent) flashOrb(permAgent, 0xffaa33, 1200);
+        scheduleSyncScene();
+        break;
+      }
+
       case 'config_update':
         appState.config = msg.config;
         syncConfigUI();
@@ -4096,7 +4763,11 @@ function connectWebSocket() {
     }
   };
 
-  ws.onclose = () => {
+  ws.onclose = (e) => {
+    if (e.code === 4401) {
+      showLogin('Your session has expired. Log in again.');
+      return;
+    }
     document.getElementById('connection-banner').style.display = 'block';
     updateUI();
     clearTimeout(reconnectTimer);
@@ -4116,6 +4787,7 @@ window.togglePanel = function() {
   toggle.classList.toggle('collapsed');
   toggle.textContent = panel.classList.contains('collapsed') ? '\u2039' : '\u203A';
   timeline.classList.toggle('expanded', panel.classList.contains('collapsed'));
+  document.getElementById('replay-controls').classList.toggle('expanded', panel.classList.contains('collapsed'));
 };
 
 window.switchTab = function(tabName) {
@@ -4155,13 +4827,37 @@ function updateHistoryTab() {
         <span class="history-source">${escHtml(h.source || '?')}</span>
       </div>
       <div class="history-stats">
-        ${s.toolCalls || 0} tools | ${s.turns || 0} turns | ${s.errors ? '<span class="agent-error-badge">' + s.errors + ' err</span> | ' : ''}${h.agentCount || 1} agents
+        ${s.toolCalls || 0} tools | ${s.turns || 0} turns | ${s.errors ? '<span class="agent-error-badge">' + s.errors + ' err</span> | ' : ''}${h.agentCount || 1} agents${s.cost ? ` | $${s.cost.toFixed(2)}` : ''}
       </div>
       ${h.model ? `<div class="history-model">${escHtml(h.model)}</div>` : ''}
+      ${historyAnnotationsHtml(h.annotations)}
+      ${historyContextHtml(h.context)}
+      ${h.turns?.length ? `<details class="history-turns"><summary>${escHtml(turnSummaryText(h.turns))}</summary><div class="turn-list">${turnRowsHtml(h.turns)}</div></details>` : ''}
+      <button class="export-btn history-replay" data-session-id="${encodeURIComponent(h.id)}" onclick="startReplay(decodeURIComponent(this.dataset.sessionId))">Replay</button>
     </div>`;
   }).join('');
 }
 
+// Goal, milestones and final progress the agent posted during the session
+function historyAnnotationsHtml(ann) {
+  if (!ann) return '';
+  const pct = ann.progress ? ` <span class="history-progress">${Math.round(ann.progress.ratio * 100)}%</span>` : '';
+  const goal = ann.goal ? `<div class="history-goal">${escHtml(ann.goal.text)}${pct}</div>` : (pct ? `<div class="history-goal">Progress${pct}</div>` : '');
+  const milestones = (ann.milestones || []).map(m =>
+    `<li title="${escHtml(m.detail || '').replace(/"/g, '&quot;')}"><span class="history-milestone-time">${escHtml(new Date(m.at).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' }))}</span> ${escHtml(m.label)}</li>`
+  ).join('');
+  return goal + (milestones ? `<ul class="history-milestones">${milestones}</ul>` : '');
+}
+
+// Peak context and the compactions it went through
+function historyContextHtml(ctx) {
+  if (!ctx) return '';
+  const compactions = ctx.compactions || [];
+  return `<div class="history-context" title="${escHtml(compactions.map(describeCompaction).join('\n')).replace(/"/g, '&quot;')}">` +
+    `Peak context ${formatTokenCount(ctx.peak)} / ${formatTokenCount(ctx.window)}` +
+    (compactions.length ? ` · <span class="history-compactions">${compactions.length} compaction${compactions.length === 1 ? '' : 's'}</span>` : '') + '</div>';
+}
+
 window.exportSession = function() {
   window.open('/api/export', '_blank');
 };
@@ -4220,6 +4916,7 @@ window.updateConfig = function(path, value) {
   current[keys[keys.length - 1]] = value;
 
   deepMerge(appState.config, update);
+  if (authRole === 'read') return; // viewers keep display tweaks local
 
   fetch('/api/config', {
     method: 'POST',
@@ -4323,6 +5020,9 @@ function syncConfigUI() {
   const thoughtBubbles = el('cfg-bubbles');
   if (thoughtBubbles) thoughtBubbles.checked = features.thoughtBubbles ?? true;
 
+  const capturePrompts = el('cfg-capture-prompts');
+  if (capturePrompts) capturePrompts.checked = c.capture?.prompts ?? false;
+
   const spawnAnims = el('cfg-spawnanim');
   if (spawnAnims) spawnAnims.checked = features.spawnAnimations ?? true;
 
@@ -4530,7 +5230,7 @@ setInterval(updateUI, 1000);
 initScene();
 initBackground();
 animate();
-connectWebSocket();
+startConnection();
 
 // Init audio on first user interaction (browser requires gesture)
 document.addEventListener('click', function audioUnlock() {
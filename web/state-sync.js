@@ -0,0 +1,29 @@
+/**
+ * state-sync.js - Applies the worker's protocol v2 state patches
+ * Kept free of DOM access so the tests can import it too.
+ */
+
+// Keyed list diff { upsert, remove, order? }: order, when present, is exact
+export function applyListPatch(list, diff, key) {
+  const byKey = new Map(list.map(item => [key(item), item]));
+  for (const k of diff.remove) byKey.delete(k);
+  for (const item of diff.upsert) byKey.set(key(item), item);
+  if (!diff.order) return [...byKey.values()];
+  return diff.order.map(k => byKey.get(k)).filter(Boolean);
+}
+
+export function applyStatePatch(base, patch) {
+  const next = { ...base };
+  if (patch.agents) next.agents = applyListPatch(base.agents || [], patch.agents, a => a.id);
+  if (patch.files) next.files = applyListPatch(base.files || [], patch.files, f => f.path);
+  if (patch.timeline) {
+    next.timeline = patch.timeline.replace || [...(base.timeline || []), ...patch.timeline.append]
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .slice(-patch.timeline.limit);
+  }
+  // Everything else is replaced wholesale (stats included, so removed keys go too)
+  for (const k of ['sessions', 'session', 'stats', 'budgets', 'permissions', 'config', 'history']) {
+    if (k in patch) next[k] = patch[k];
+  }
+  return next;
+}